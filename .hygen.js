@@ -1,7 +0,0 @@
-module.exports = {
-  helpers: {
-    preset: function preset(name) {
-      return JSON.stringify(require('./presets/' + name))
-    },
-  },
-}
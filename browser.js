@@ -15,12 +15,13 @@
   let expectChecksum
   let haveChecksum
   let downloadReady
+  let patchUrl
+  let patchData
   let selectedFile
+  let customPreset
   let version
 
-  const safe = presets.filter(function(preset) {
-    return preset.id === 'safe'
-  }).pop()
+  let safe
 
   function cloneItems(items) {
     return items.map(function(item) {
@@ -78,6 +79,12 @@
     downloadReady = false
     delete elems.download.download
     delete elems.download.href
+    elems.downloadPatch.disabled = true
+    if (patchUrl) {
+      URL.revokeObjectURL(patchUrl)
+      patchUrl = undefined
+    }
+    patchData = undefined
   }
 
   function hideLoader() {
@@ -160,15 +167,23 @@
     }
   }
 
+  function selectedPreset() {
+    if (customPreset && elems.presetId.selectedIndex === presets.length) {
+      return customPreset
+    }
+    return presets[elems.presetId.selectedIndex]
+  }
+
   function presetIdChange() {
-    const preset = presets[elems.presetId.selectedIndex]
+    const preset = selectedPreset()
     elems.presetDescription.innerText = preset.description
     elems.presetAuthor.innerText = 'by ' + preset.author
     localStorage.setItem('presetId', preset.id)
+    localStorage.setItem('presetFileSelected', preset === customPreset)
     if (elems.preset.checked) {
       const options = preset.options()
       let complexity = 1
-      Object.getOwnPropertyNames(options.relicLocations).forEach(
+      Object.getOwnPropertyNames(options.relicLocations || {}).forEach(
         function(key) {
           if (/^[0-9]+(-[0-9]+)?/.test(key)) {
             complexity = key.split('-').pop()
@@ -303,6 +318,63 @@
     }
   }
 
+  function isPresetFile(file) {
+    return /\.json$/i.test(file.name)
+  }
+
+  // Builds a preset from the contents of a preset file.
+  function buildPresetFile(text) {
+    const json = JSON.parse(text)
+    const invalid = sotnRando.validate.validate(json)
+    if (invalid.length) {
+      throw new Error(sotnRando.validate.formatError(invalid[0]))
+    }
+    return util.PresetBuilder.fromJSON(json).build()
+  }
+
+  // Adds the preset from a file after the built-in presets.
+  function setCustomPreset(preset) {
+    customPreset = preset
+    let option = elems.presetId.options[presets.length]
+    if (!option) {
+      option = document.createElement('option')
+      elems.presetId.appendChild(option)
+    }
+    option.value = preset.id
+    option.innerText = preset.name + ' (custom)'
+  }
+
+  function loadPresetFile(file) {
+    if (elems.presetFile.disabled) {
+      return
+    }
+    const reader = new FileReader()
+    reader.addEventListener('load', function() {
+      let preset
+      try {
+        preset = buildPresetFile(this.result)
+      } catch (err) {
+        elems.presetFileError.innerText = file.name + ': ' + err.message
+        elems.presetFileError.classList.remove('hidden')
+        return
+      }
+      elems.presetFileError.classList.add('hidden')
+      localStorage.setItem('presetFile', this.result)
+      setCustomPreset(preset)
+      elems.preset.checked = true
+      elems.presetId.selectedIndex = presets.length
+      presetChange()
+    })
+    reader.readAsText(file)
+  }
+
+  function presetFileChange() {
+    if (elems.presetFile.files[0]) {
+      loadPresetFile(elems.presetFile.files[0])
+      elems.presetFile.value = ''
+    }
+  }
+
   function spoilersChange() {
     if (elems.showSpoilers.checked) {
       showSpoilers()
@@ -313,6 +385,8 @@
       elems.showRelics.disabled = true
       elems.showSolutions.checked = false
       elems.showSolutions.disabled = true
+      elems.showItems.checked = false
+      elems.showItems.disabled = true
     }
     localStorage.setItem('showSpoilers', elems.showSpoilers.checked)
   }
@@ -323,16 +397,29 @@
     } else {
       elems.showSolutions.checked = false
       elems.showSolutions.disabled = true
+      elems.showItems.checked = false
+      elems.showItems.disabled = true
     }
     showSpoilers()
     localStorage.setItem('showRelics', elems.showRelics.checked)
   }
 
   function showSolutionsChange() {
+    if (elems.showSolutions.checked) {
+      elems.showItems.disabled = false
+    } else {
+      elems.showItems.checked = false
+      elems.showItems.disabled = true
+    }
     showSpoilers()
     localStorage.setItem('showSolutions', elems.showSolutions.checked)
   }
 
+  function showItemsChange() {
+    showSpoilers()
+    localStorage.setItem('showItems', elems.showItems.checked)
+  }
+
   function dragLeaveListener(event) {
     elems.target.classList.remove('active')
   }
@@ -347,23 +434,36 @@
   function dropListener(event) {
     event.preventDefault()
     event.stopPropagation()
-    resetState()
+    const files = []
     if (event.dataTransfer.items) {
       for (let i = 0; i < event.dataTransfer.items.length; i++) {
         const item = event.dataTransfer.items[i]
         if (item.kind === 'file') {
-          const file = item.getAsFile()
-          selectedFile = file
+          files.push(item.getAsFile())
         }
       }
     } else {
       for (let i = 0; i < event.dataTransfer.files.length; i++) {
-        const file = event.dataTransfer.files[i]
-        selectedFile = file
+        files.push(event.dataTransfer.files[i])
       }
     }
-    resetTarget(true)
-    elems.file.style.display = 'none'
+    // Preset files are loaded as presets, anything else is the disc image.
+    let file
+    files.forEach(function(dropped) {
+      if (isPresetFile(dropped)) {
+        loadPresetFile(dropped)
+      } else {
+        file = dropped
+      }
+    })
+    if (file) {
+      resetState()
+      selectedFile = file
+      resetTarget(true)
+      elems.file.style.display = 'none'
+    } else if (!selectedFile) {
+      elems.target.classList.remove('active')
+    }
   }
 
   function randomizedFilename(filename, seed) {
@@ -376,6 +476,12 @@
     ].join('')
   }
 
+  function patchFilename(filename, seed) {
+    const lastPeriodIdx = filename.lastIndexOf('.')
+    const insertIdx = lastPeriodIdx === -1 ? filename.length : lastPeriodIdx
+    return filename.slice(0, insertIdx) + ' (' + seed + ').bps'
+  }
+
   function getFormRelicLocations() {
     // Get safe relic locations.
     const relicLocations = safe.options().relicLocations
@@ -419,7 +525,12 @@
 
   function getFormOptions() {
     if (elems.preset.checked) {
-      return {preset: presets[elems.presetId.selectedIndex].id}
+      const preset = selectedPreset()
+      // Workers only know the built-in presets.
+      if (preset === customPreset) {
+        return preset.options()
+      }
+      return {preset: preset.id}
     }
     const options = {
       enemyDrops: elems.enemyDrops.checked,
@@ -477,6 +588,11 @@
     // Get options.
     const options = getFormOptions()
     const applied = util.Preset.options(options)
+    // Custom presets are named in the game by their id.
+    let presetId = options.preset
+    if (elems.preset.checked && selectedPreset() === customPreset) {
+      presetId = customPreset.id
+    }
     // Place planned progression items.
     const removed = randomizeItems.placePlannedItems(applied)
     const reader = new FileReader()
@@ -487,16 +603,20 @@
       const file = this.result
       const threads = workerCount()
       const start = new Date().getTime()
-      // Randomize relics.
-      util.randomizeRelics(
-        version,
-        options,
-        seed,
-        removed,
-        createWorkers(threads),
-        3,
-        getUrl(),
-      ).then(function(result) {
+      new Promise(function(resolve) {
+        // Verify the file is a vanilla image.
+        util.checkVanilla(new Uint8Array(file))
+        // Randomize relics.
+        resolve(util.randomizeRelics(
+          version,
+          options,
+          seed,
+          removed,
+          createWorkers(threads),
+          3,
+          getUrl(),
+        ))
+      }).then(function(result) {
         util.mergeInfo(info, result.info)
         const rng = new Math.seedrandom(util.saltSeed(
           version,
@@ -506,6 +626,9 @@
         ))
         result = randomizeRelics.writeRelics(rng, applied, result)
         check.apply(result.data)
+        util.mergeInfo(info, result.info)
+        // The first hint is shown in the seed menu in place of the preset.
+        presetId = util.seedMenuPreset(presetId, result.hints)
         return util.randomizeItems(
           version,
           options,
@@ -528,10 +651,11 @@
         check.apply(result)
         return util.finalizeData(
           seed,
-          options.preset,
+          presetId,
           file,
           check,
           expectChecksum,
+          undefined,
           createWorkers(1)[0],
           getUrl(),
         )
@@ -554,6 +678,19 @@
         elems.download.href = url
         elems.download.click()
         URL.revokeObjectURL(url)
+        // The patch is only created if it is downloaded.
+        patchData = {
+          seed: seed,
+          preset: presetId,
+          check: check,
+          checksum: result.checksum,
+          metadata: {
+            version: version,
+            seed: seed,
+            options: util.optionsToString(options),
+          },
+        }
+        elems.downloadPatch.disabled = false
         resetCopy()
       }).catch(function(err) {
         if (!errors.isError(err)) {
@@ -578,6 +715,7 @@
     elems.seed.disabled = false
     elems.preset.disabled = false
     elems.presetId.disabled = false
+    elems.presetFile.disabled = false
     elems.enemyDrops.disabled = false
     elems.enemyDropsArg.value = ''
     elems.startingEquipment.disabled = false
@@ -601,9 +739,14 @@
     event.preventDefault()
     event.stopPropagation()
     elems.seed.value = elems.seed.value || lastSeed || ''
+    let options = getFormOptions()
+    // Custom presets are encoded in the url.
+    if (elems.preset.checked && selectedPreset() === customPreset) {
+      options = customPreset
+    }
     const url = util.optionsToUrl(
       version,
-      getFormOptions(),
+      options,
       checksum,
       elems.seed.value,
       window.location.href,
@@ -629,6 +772,53 @@
     }
   }
 
+  function downloadPatch() {
+    const link = document.createElement('a')
+    link.href = patchUrl
+    link.download = patchFilename(selectedFile.name, lastSeed)
+    document.body.appendChild(link)
+    link.click()
+    document.body.removeChild(link)
+  }
+
+  function downloadPatchHandler(event) {
+    event.preventDefault()
+    event.stopPropagation()
+    if (patchUrl) {
+      downloadPatch()
+      return
+    }
+    // Create the patch from a fresh copy of the vanilla file.
+    const data = patchData
+    elems.downloadPatch.disabled = true
+    const reader = new FileReader()
+    reader.addEventListener('load', function() {
+      util.finalizeData(
+        data.seed,
+        data.preset,
+        this.result,
+        data.check,
+        data.checksum,
+        data.metadata,
+        createWorkers(1)[0],
+        getUrl(),
+      ).then(function(result) {
+        if (patchData !== data) {
+          return
+        }
+        patchUrl = URL.createObjectURL(new Blob([result.patch], {
+          type: 'application/octet-binary',
+        }))
+        elems.downloadPatch.disabled = false
+        downloadPatch()
+      }).catch(function(err) {
+        console.error(err)
+        elems.downloadPatch.disabled = false
+      })
+    })
+    reader.readAsArrayBuffer(selectedFile)
+  }
+
   function showOlderHandler(event) {
     elems.showOlder.classList.add('hidden')
     elems.older.classList.remove('hidden')
@@ -652,7 +842,9 @@
 
   function showSpoilers() {
     let verbosity
-    if (elems.showSolutions.checked) {
+    if (elems.showItems.checked) {
+      verbosity = 5
+    } else if (elems.showSolutions.checked) {
       verbosity = 4
     } else if (elems.showRelics.checked) {
       verbosity = 3
@@ -687,6 +879,8 @@
     presetId: document.getElementById('preset-id'),
     presetDescription: document.getElementById('preset-description'),
     presetAuthor: document.getElementById('preset-author'),
+    presetFile: document.getElementById('preset-file'),
+    presetFileError: document.getElementById('preset-file-error'),
     options: document.getElementById('options'),
     complexity: document.getElementById('complexity'),
     enemyDrops: document.getElementById('enemy-drops'),
@@ -713,11 +907,13 @@
     showSpoilers: document.getElementById('show-spoilers'),
     showRelics: document.getElementById('show-relics'),
     showSolutions: document.getElementById('show-solutions'),
+    showItems: document.getElementById('show-items'),
     spoilers: document.getElementById('spoilers'),
     spoilersContainer: document.getElementById('spoilers-container'),
     download: document.getElementById('download'),
     loader: document.getElementById('loader'),
     copy: document.getElementById('copy'),
+    downloadPatch: document.getElementById('download-patch'),
     notification: document.getElementById('notification'),
     seedUrl: document.getElementById('seed-url'),
     showOlder: document.getElementById('show-older'),
@@ -729,6 +925,7 @@
   elems.seed.addEventListener('change', seedChange)
   elems.preset.addEventListener('change', presetChange)
   elems.presetId.addEventListener('change', presetIdChange)
+  elems.presetFile.addEventListener('change', presetFileChange)
   elems.complexity.addEventListener('change', complexityChange)
   elems.enemyDrops.addEventListener('change', enemyDropsChange)
   elems.startingEquipment.addEventListener('change', startingEquipmentChange)
@@ -755,15 +952,10 @@
   elems.showSpoilers.addEventListener('change', spoilersChange)
   elems.showRelics.addEventListener('change', showRelicsChange)
   elems.showSolutions.addEventListener('change', showSolutionsChange)
+  elems.showItems.addEventListener('change', showItemsChange)
   elems.copy.addEventListener('click', copyHandler)
+  elems.downloadPatch.addEventListener('click', downloadPatchHandler)
   elems.showOlder.addEventListener('click', showOlderHandler)
-  // Load presets
-  presets.forEach(function(preset) {
-    const option = document.createElement('option')
-    option.value = preset.id
-    option.innerText = preset.name
-    elems.presetId.appendChild(option)
-  })
   const url = new URL(window.location.href)
   const fakeVersion = '0.0.0-0'
   if (url.protocol !== 'file:') {
@@ -777,177 +969,222 @@
     }).catch(function(){
       version = fakeVersion
     })
+    // Cache the app for offline use.
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.register('sw.js')
+    }
   } else {
     version = fakeVersion
   }
-  let options
-  let seed
-  if (url.search.length) {
-    const rs = util.optionsFromUrl(window.location.href)
-    options = rs.options
-    const applied = util.Preset.options(options)
-    seed = rs.seed
-    if (!Number.isNaN(rs.checksum)) {
-      expectChecksum = rs.checksum
-    }
-    if (typeof(seed) === 'string') {
-      elems.seed.value = seed
-      seedChange()
-      haveChecksum = true
-    }
-    if (seed.length) {
-      elems.seed.disabled = true
+  // Load presets, then the options of the url or the last session.
+  sotnRando.loadPresets(getUrl()).then(function() {
+    safe = presets.filter(function(preset) {
+      return preset.id === 'safe'
+    }).pop()
+    presets.forEach(function(preset) {
+      const option = document.createElement('option')
+      option.value = preset.id
+      option.innerText = preset.name
+      elems.presetId.appendChild(option)
+    })
+    // Restore the last preset file.
+    const presetFile = localStorage.getItem('presetFile')
+    if (typeof(presetFile) === 'string') {
+      try {
+        setCustomPreset(buildPresetFile(presetFile))
+      } catch (err) {
+        localStorage.removeItem('presetFile')
+      }
     }
-    if (options.preset) {
-      elems.preset.checked = true
-      for (let i = 0; i < presets.length; i++) {
-        if (presets[i].id === options.preset) {
-          elems.presetId.selectedIndex = i
-          break
+    let options
+    let seed
+    if (url.search.length) {
+      const rs = util.optionsFromUrl(window.location.href)
+      options = rs.options
+      const applied = util.Preset.options(options)
+      seed = rs.seed
+      if (!Number.isNaN(rs.checksum)) {
+        expectChecksum = rs.checksum
+      }
+      if (typeof(seed) === 'string') {
+        elems.seed.value = seed
+        seedChange()
+        haveChecksum = true
+      }
+      if (seed.length) {
+        elems.seed.disabled = true
+      }
+      if (rs.preset) {
+        // Keep the preset of the url like a loaded preset file.
+        const metadata = {
+          id: rs.preset.id,
+          name: rs.preset.name,
+          description: rs.preset.description,
+          author: rs.preset.author,
         }
+        localStorage.setItem('presetFile', JSON.stringify(
+          util.PresetBuilder.fromOptions(metadata, options).toJSON()
+        ))
+        setCustomPreset(rs.preset)
+        elems.preset.checked = true
+        elems.presetId.selectedIndex = presets.length
+        presetIdChange()
+      } else if (options.preset) {
+        elems.preset.checked = true
+        for (let i = 0; i < presets.length; i++) {
+          if (presets[i].id === options.preset) {
+            elems.presetId.selectedIndex = i
+            break
+          }
+        }
+        presetIdChange()
+      } else {
+        elems.preset.checked = false
+        elems.presetId.selectedIndex = 0
       }
-      presetIdChange()
-    } else {
-      elems.preset.checked = false
-      elems.presetId.selectedIndex = 0
-    }
-    presetChange()
-    let locations
-    if (typeof(applied.relicLocations) === 'object') {
-      locations = applied.relicLocations
-    } else {
-      locations = safe.options().relicLocations
-    }
-    Object.getOwnPropertyNames(locations).forEach(
-      function(key) {
-        if (/^[0-9]+(-[0-9]+)?$/.test(key)) {
-          elems.complexity.value = key.split('-').pop()
+      presetChange()
+      let locations
+      if (typeof(applied.relicLocations) === 'object') {
+        locations = applied.relicLocations
+      } else {
+        locations = safe.options().relicLocations
+      }
+      Object.getOwnPropertyNames(locations).forEach(
+        function(key) {
+          if (/^[0-9]+(-[0-9]+)?$/.test(key)) {
+            elems.complexity.value = key.split('-').pop()
+          }
         }
+      )
+      elems.enemyDrops.checked = applied.enemyDrops
+      enemyDropsChange()
+      let enemyDropsArg = ''
+      if (typeof(options.enemyDrops) === 'object') {
+        enemyDropsArg = util.optionsToString({
+          enemyDrops: options.enemyDrops,
+        })
       }
-    )
-    elems.enemyDrops.checked = applied.enemyDrops
-    enemyDropsChange()
-    let enemyDropsArg = ''
-    if (typeof(options.enemyDrops) === 'object') {
-      enemyDropsArg = util.optionsToString({
-        enemyDrops: options.enemyDrops,
-      })
-    }
-    elems.enemyDropsArg.value = enemyDropsArg
-    elems.startingEquipment.checked = applied.startingEquipment
-    startingEquipmentChange()
-    let startingEquipmentArg = ''
-    if (typeof(options.startingEquipment) === 'object') {
-      startingEquipmentArg = util.optionsToString({
-        startingEquipment: options.startingEquipment,
-      })
-    }
-    elems.startingEquipmentArg.value = startingEquipmentArg
-    elems.itemLocations.checked = applied.itemLocations
-    itemLocationsChange()
-    let itemLocationsArg = ''
-    if (typeof(options.itemLocations) === 'object') {
-      itemLocationsArg = util.optionsToString({
-        itemLocations: options.itemLocations,
-      })
-    }
-    elems.itemLocationsArg.value = itemLocationsArg
-    elems.prologueRewards.checked = applied.prologueRewards
-    prologueRewardsChange()
-    let prologueRewardsArg = ''
-    if (typeof(options.prologueRewards) === 'object') {
-      prologueRewardsArg = util.optionsToString({
-        prologueRewards: options.prologueRewards,
-      })
-    }
-    elems.prologueRewardsArg.value = prologueRewardsArg
-    elems.relicLocations.checked = !!applied.relicLocations
-    relicLocationsChange()
-    let relicLocationsArg = ''
-    if (typeof(options.relicLocations) === 'object') {
-      // This is a hacky way to get all possible relic location locks
-      // serialized, without including the relic locations extension.
-      relicLocationsArg = util.optionsToString({
-        relicLocations: Object.apply({}, applied.relicLocations, {
-          extension: constants.EXTENSION.EQUIPMENT,
-        }),
-      }).replace(new RegExp(':?' + util.optionsToString({
-        relicLocations: {
-          extension: constants.EXTENSION.EQUIPMENT,
-        },
-      })), '')
-    }
-    elems.relicLocationsArg.value = relicLocationsArg
-    elems.relicLocationsExtension.guarded.checked =
-      applied.relicLocations
-      && applied.relicLocations.extension === constants.EXTENSION.GUARDED
-    elems.relicLocationsExtension.equipment.checked =
-      applied.relicLocations
-      && applied.relicLocations.extension === constants.EXTENSION.EQUIPMENT
-    elems.relicLocationsExtension.classic.checked =
-      applied.relicLocations
-      && !applied.relicLocations.extension
-    relicLocationsExtensionChange()
-    elems.music.checked = applied.music
-    musicChange()
-    elems.turkeyMode.checked = applied.turkeyMode
-    turkeyModeChange()
-    elems.preset.disabled = true
-    elems.presetId.disabled = true
-    elems.complexity.disabled = true
-    elems.enemyDrops.disabled = true
-    elems.startingEquipment.disabled = true
-    elems.itemLocations.disabled = true
-    elems.prologueRewards.disabled = true
-    elems.relicLocations.disabled = true
-    elems.relicLocationsSet.disabled = true
-    elems.music.disabled = true
-    elems.turkeyMode.disabled = true
-    elems.clear.classList.remove('hidden')
-    const baseUrl = url.origin + url.pathname
-    window.history.replaceState({}, document.title, baseUrl)
-  } else {
-    loadOption('complexity', complexityChange, 7)
-    loadOption('enemyDrops', enemyDropsChange, true)
-    loadOption('startingEquipment', startingEquipmentChange, true)
-    loadOption('itemLocations', itemLocationsChange, true)
-    loadOption('prologueRewards', prologueRewardsChange, true)
-    loadOption('relicLocations', relicLocationsChange, true)
-    loadOption('music', musicChange, true)
-    loadOption('turkeyMode', turkeyModeChange, true)
-    let relicLocationsExtension =
-        localStorage.getItem('relicLocationsExtension')
-    if (typeof(relicLocationsExtension) === 'string') {
-      switch (relicLocationsExtension) {
-      case constants.EXTENSION.GUARDED:
-        elems.relicLocationsExtension.guarded.checked = true
-        break
-      case constants.EXTENSION.EQUIPMENT:
-        elems.relicLocationsExtension.equipment.checked = true
-        break
-      default:
-        elems.relicLocationsExtension.classic.checked = true
-        break
+      elems.enemyDropsArg.value = enemyDropsArg
+      elems.startingEquipment.checked = applied.startingEquipment
+      startingEquipmentChange()
+      let startingEquipmentArg = ''
+      if (typeof(options.startingEquipment) === 'object') {
+        startingEquipmentArg = util.optionsToString({
+          startingEquipment: options.startingEquipment,
+        })
+      }
+      elems.startingEquipmentArg.value = startingEquipmentArg
+      elems.itemLocations.checked = applied.itemLocations
+      itemLocationsChange()
+      let itemLocationsArg = ''
+      if (typeof(options.itemLocations) === 'object') {
+        itemLocationsArg = util.optionsToString({
+          itemLocations: options.itemLocations,
+        })
       }
-    } else if (constants.defaultExtension) {
-      elems.relicLocationsExtension[constants.defaultExtension].checked = true
+      elems.itemLocationsArg.value = itemLocationsArg
+      elems.prologueRewards.checked = applied.prologueRewards
+      prologueRewardsChange()
+      let prologueRewardsArg = ''
+      if (typeof(options.prologueRewards) === 'object') {
+        prologueRewardsArg = util.optionsToString({
+          prologueRewards: options.prologueRewards,
+        })
+      }
+      elems.prologueRewardsArg.value = prologueRewardsArg
+      elems.relicLocations.checked = !!applied.relicLocations
+      relicLocationsChange()
+      let relicLocationsArg = ''
+      if (typeof(options.relicLocations) === 'object') {
+        // This is a hacky way to get all possible relic location locks
+        // serialized, without including the relic locations extension.
+        relicLocationsArg = util.optionsToString({
+          relicLocations: Object.apply({}, applied.relicLocations, {
+            extension: constants.EXTENSION.EQUIPMENT,
+          }),
+        }).replace(new RegExp(':?' + util.optionsToString({
+          relicLocations: {
+            extension: constants.EXTENSION.EQUIPMENT,
+          },
+        })), '')
+      }
+      elems.relicLocationsArg.value = relicLocationsArg
+      elems.relicLocationsExtension.guarded.checked =
+        applied.relicLocations
+        && applied.relicLocations.extension === constants.EXTENSION.GUARDED
+      elems.relicLocationsExtension.equipment.checked =
+        applied.relicLocations
+        && applied.relicLocations.extension === constants.EXTENSION.EQUIPMENT
+      elems.relicLocationsExtension.classic.checked =
+        applied.relicLocations
+        && !applied.relicLocations.extension
+      relicLocationsExtensionChange()
+      elems.music.checked = applied.music
+      musicChange()
+      elems.turkeyMode.checked = applied.turkeyMode
+      turkeyModeChange()
+      elems.preset.disabled = true
+      elems.presetId.disabled = true
+      elems.presetFile.disabled = true
+      elems.complexity.disabled = true
+      elems.enemyDrops.disabled = true
+      elems.startingEquipment.disabled = true
+      elems.itemLocations.disabled = true
+      elems.prologueRewards.disabled = true
+      elems.relicLocations.disabled = true
+      elems.relicLocationsSet.disabled = true
+      elems.music.disabled = true
+      elems.turkeyMode.disabled = true
+      elems.clear.classList.remove('hidden')
+      const baseUrl = url.origin + url.pathname
+      window.history.replaceState({}, document.title, baseUrl)
     } else {
-      elems.relicLocationsExtension.classic.checked = true
-    }
-    relicLocationsExtensionChange()
-    let presetId = localStorage.getItem('presetId')
-    if (typeof(presetId) !== 'string') {
-      presetId = 'safe'
-    }
-    for (let i = 0; i < presets.length; i++) {
-      if (presets[i].id === presetId) {
-        elems.presetId.selectedIndex = i
-        break
+      loadOption('complexity', complexityChange, 7)
+      loadOption('enemyDrops', enemyDropsChange, true)
+      loadOption('startingEquipment', startingEquipmentChange, true)
+      loadOption('itemLocations', itemLocationsChange, true)
+      loadOption('prologueRewards', prologueRewardsChange, true)
+      loadOption('relicLocations', relicLocationsChange, true)
+      loadOption('music', musicChange, true)
+      loadOption('turkeyMode', turkeyModeChange, true)
+      let relicLocationsExtension =
+          localStorage.getItem('relicLocationsExtension')
+      if (typeof(relicLocationsExtension) === 'string') {
+        switch (relicLocationsExtension) {
+        case constants.EXTENSION.GUARDED:
+          elems.relicLocationsExtension.guarded.checked = true
+          break
+        case constants.EXTENSION.EQUIPMENT:
+          elems.relicLocationsExtension.equipment.checked = true
+          break
+        default:
+          elems.relicLocationsExtension.classic.checked = true
+          break
+        }
+      } else if (constants.defaultExtension) {
+        elems.relicLocationsExtension[constants.defaultExtension].checked = true
+      } else {
+        elems.relicLocationsExtension.classic.checked = true
+      }
+      relicLocationsExtensionChange()
+      let presetId = localStorage.getItem('presetId')
+      if (typeof(presetId) !== 'string') {
+        presetId = 'safe'
       }
+      for (let i = 0; i < presets.length; i++) {
+        if (presets[i].id === presetId) {
+          elems.presetId.selectedIndex = i
+          break
+        }
+      }
+      if (customPreset
+          && localStorage.getItem('presetFileSelected') === 'true') {
+        elems.presetId.selectedIndex = presets.length
+      }
+      presetIdChange()
+      loadOption('preset', presetChange, true)
     }
-    presetIdChange()
-    loadOption('preset', presetChange, true)
-  }
+  })
   let path = url.pathname
   if (path.match(/index\.html$/)) {
     path = path.slice(0, path.length - 10)
@@ -972,6 +1209,7 @@
   }
   loadOption('theme', themeChange, 'menu')
   loadOption('appendSeed', appendSeedChange, true)
+  loadOption('showItems', showItemsChange, false)
   loadOption('showSolutions', showSolutionsChange, false)
   loadOption('showRelics', showRelicsChange, false)
   loadOption('showSpoilers', spoilersChange, true)
@@ -1,32 +0,0 @@
-// This is a generated file. Do not edit it directly.
-// Make your changes to presets/adventure.json then rebuild
-// this file with `npm run build-presets -- adventure`.
-(function(self) {
-
-  // Boilerplate.
-  let util
-  if (self) {
-    util = self.sotnRando.util
-  } else {
-    util = require('../../util')
-  }
-  const PresetBuilder = util.PresetBuilder
-
-  // Create PresetBuilder.
-  const builder = PresetBuilder.fromJSON({"metadata":{"id":"adventure","name":"Adventure","description":"Requires extensive map coverage.","author":"3snow_p7im","weight":-300},"inherits":"safe","relicLocationsExtension":"equipment","complexityGoal":{"min":7,"goals":["Holy Glasses + Heart of Vlad + Tooth of Vlad + Rib of Vlad + Ring of Vlad + Eye of Vlad"]}})
-
-  // Export.
-  const preset = builder.build()
-
-  if (self) {
-    const presets = (self.sotnRando || {}).presets || []
-    presets.push(preset)
-    self.sotnRando = Object.assign(self.sotnRando || {}, {
-      presets: presets,
-    })
-  } else if (!module.parent) {
-    console.log(preset.toString())
-  } else {
-    module.exports = preset
-  }
-})(typeof(self) !== 'undefined' ? self : null)
@@ -1,32 +0,0 @@
-// This is a generated file. Do not edit it directly.
-// Make your changes to presets/speedrun.json then rebuild
-// this file with `npm run build-presets -- speedrun`.
-(function(self) {
-
-  // Boilerplate.
-  let util
-  if (self) {
-    util = self.sotnRando.util
-  } else {
-    util = require('../../util')
-  }
-  const PresetBuilder = util.PresetBuilder
-
-  // Create PresetBuilder.
-  const builder = PresetBuilder.fromJSON({"metadata":{"id":"speedrun","name":"Speedrun","description":"Requires knowledge of movement mechanics used in glitchless speedruns.","author":"3snow_p7im","weight":-100},"lockLocation":[{"location":"Soul of Bat","comment":"Requires Mist","locks":["Form of Mist"]},{"location":"Fire of Bat","comment":"Requires flight","locks":["Soul of Bat","Gravity Boots + Leap Stone","Gravity Boots + Soul of Wolf","Gravity Boots + Form of Mist","Form of Mist + Power of Mist"]},{"location":"Echo of Bat","comment":"Requires flight + a transformation","locks":["Soul of Bat","Gravity Boots + Form of Mist","Gravity Boots + Soul of Wolf","Form of Mist + Power of Mist"]},{"location":"Force of Echo","comment":"In second castle","locks":["Holy Glasses + Soul of Bat","Holy Glasses + Gravity Boots + Leap Stone","Holy Glasses + Gravity Boots + Soul of Wolf","Holy Glasses + Gravity Boots + Form of Mist","Holy Glasses + Form of Mist + Power of Mist"]},{"location":"Power of Wolf","comment":"Requires flight","locks":["Soul of Bat","Gravity Boots + Leap Stone","Gravity Boots + Soul of Wolf","Gravity Boots + Form of Mist","Form of Mist + Power of Mist"]},{"location":"Skill of Wolf","comment":"Requires at least Gravity Boots","locks":["Gravity Boots","Soul of Bat","Form of Mist + Power of Mist"]},{"location":"Form of Mist","comment":"Requires at least Leap Stone or a transformation","locks":["Leap Stone","Gravity Boots","Soul of Bat","Soul of Wolf","Form of Mist"]},{"location":"Power of Mist","comment":"Requires flight","locks":["Soul of Bat","Gravity Boots + Leap Stone","Gravity Boots + Soul of Wolf","Gravity Boots + Form of Mist","Form of Mist + Power of Mist"]},{"location":"Gas Cloud","comment":"In second castle","locks":["Holy Glasses + Soul of Bat","Holy Glasses + Gravity Boots + Leap Stone","Holy Glasses + Gravity Boots + Soul of Wolf","Holy Glasses + Gravity Boots + Form of Mist","Holy Glasses + Form of Mist + Power of Mist"]},{"location":"Gravity Boots","comment":"Requires flight","locks":["Soul of Bat","Gravity Boots + Leap Stone","Gravity Boots + Soul of Wolf","Gravity Boots + Form of Mist","Form of Mist + Power of Mist"]},{"location":"Holy Symbol","comment":"Requires Jewel of Open and Merman Statue","locks":["Jewel of Open + Merman Statue"]},{"location":"Merman Statue","comment":"Requires Jewel of Open","locks":["Jewel of Open"]},{"location":"Bat Card","comment":"Requires at least Gravity Boots","locks":["Gravity Boots","Soul of Bat","Form of Mist + Power of Mist"]},{"location":"Ghost Card","comment":"Requires flight","locks":["Soul of Bat","Gravity Boots + Leap Stone","Gravity Boots + Soul of Wolf","Gravity Boots + Form of Mist","Form of Mist + Power of Mist"]},{"location":"Faerie Card","comment":"Requires at least Gravity Boots","locks":["Gravity Boots","Soul of Bat","Leap Stone","Form of Mist"]},{"location":"Demon Card","comment":"Access must also give at least Leap Stone","locks":["Jewel of Open + Leap Stone","Jewel of Open + Soul of Bat","Jewel of Open + Form of Mist + Power of Mist","Jewel of Open + Soul of Wolf + Power of Wolf"],"escapeRequires":["Soul of Bat","Form of Mist","Leap Stone","Gravity Boots"]},{"location":"Sword Card","comment":"Requires flight","locks":["Soul of Bat","Gravity Boots + Leap Stone","Gravity Boots + Soul of Wolf","Gravity Boots + Form of Mist","Form of Mist + Power of Mist"]},{"location":"Heart of Vlad","comment":"In second castle","locks":["Holy Glasses + Soul of Bat","Holy Glasses + Gravity Boots + Leap Stone","Holy Glasses + Gravity Boots + Soul of Wolf","Holy Glasses + Gravity Boots + Form of Mist","Holy Glasses + Form of Mist + Power of Mist"]},{"location":"Tooth of Vlad","comment":"In second castle","locks":["Holy Glasses + Soul of Bat","Holy Glasses + Gravity Boots + Leap Stone","Holy Glasses + Gravity Boots + Soul of Wolf","Holy Glasses + Gravity Boots + Form of Mist","Holy Glasses + Form of Mist + Power of Mist"]},{"location":"Rib of Vlad","comment":"In second castle","locks":["Holy Glasses + Soul of Bat","Holy Glasses + Gravity Boots + Soul of Wolf","Holy Glasses + Gravity Boots + Form of Mist","Holy Glasses + Form of Mist + Power of Mist"]},{"location":"Ring of Vlad","comment":"In second castle","locks":["Holy Glasses + Soul of Bat","Holy Glasses + Gravity Boots + Leap Stone","Holy Glasses + Gravity Boots + Soul of Wolf","Holy Glasses + Gravity Boots + Form of Mist","Holy Glasses + Form of Mist + Power of Mist"]},{"location":"Eye of Vlad","comment":"In second castle","locks":["Holy Glasses + Soul of Bat","Holy Glasses + Gravity Boots + Leap Stone","Holy Glasses + Gravity Boots + Soul of Wolf","Holy Glasses + Gravity Boots + Form of Mist","Holy Glasses + Form of Mist + Power of Mist"]},{"location":"Spike Breaker","comment":"Access must also give at least Leap Stone","locks":["Jewel of Open + Soul of Bat","Jewel of Open + Form of Mist + Power of Mist","Jewel of Open + Leap Stone + Spike Breaker","Jewel of Open + Soul of Wolf + Power of Wolf + Gravity Boots + Spike Breaker"],"escapeRequires":["Soul of Bat","Form of Mist + Power of Mist","Leap Stone","Gravity Boots"]},{"location":"Gold Ring","comment":"Requires Jewel of Open + flight, Jewel of Open + Soul of Wolf + Skill of Wolf, or Jewel of Open + Soul of Wolf + Leap Stone","locks":["Jewel of Open + Soul of Bat","Jewel of Open + Gravity Boots + Leap Stone","Jewel of Open + Gravity Boots + Soul of Wolf","Jewel of Open + Gravity Boots + Form of Mist","Jewel of Open + Form of Mist + Power of Mist","Jewel of Open + Soul of Wolf + Skill of Wolf","Jewel of Open + Soul of Wolf + Leap Stone"]},{"location":"Silver Ring","comment":"Requires Jewel of Open + Form of Mist + Soul of Bat","locks":["Jewel of Open + Form of Mist + Soul of Bat","Jewel of Open + Form of Mist + Power of Mist"]},{"location":"Holy Glasses","comment":"Access to Holy Glasses must also give flight","locks":["Silver Ring + Gold Ring"],"escapeRequires":["Soul of Bat","Gravity Boots + Leap Stone","Gravity Boots + Soul of Wolf","Gravity Boots + Form of Mist","Form of Mist + Power of Mist"]},{"location":"Crystal Cloak","comment":"Requires Jewel of Open","locks":["Jewel of Open"]},{"location":"Mormegil","comment":"Access to Mormegil must also give at least Leap Stone","locks":["Jewel of Open + Leap Stone","Jewel of Open + Soul of Bat","Jewel of Open + Form of Mist + Power of Mist","Jewel of Open + Soul of Wolf + Power of Wolf"],"escapeRequires":["Soul of Bat","Form of Mist","Leap Stone","Gravity Boots"]},{"location":"Dark Blade","comment":"In second castle","locks":["Holy Glasses + Soul of Bat","Holy Glasses + Gravity Boots + Leap Stone","Holy Glasses + Gravity Boots + Soul of Wolf","Holy Glasses + Gravity Boots + Form of Mist","Holy Glasses + Form of Mist + Power of Mist"]},{"location":"Ring of Arcana","comment":"In second castle","locks":["Holy Glasses + Soul of Bat","Holy Glasses + Gravity Boots + Leap Stone","Holy Glasses + Gravity Boots + Soul of Wolf","Holy Glasses + Gravity Boots + Form of Mist","Holy Glasses + Form of Mist + Power of Mist"]}],"complexityGoal":{"min":7,"goals":["Holy Glasses + Heart of Vlad + Tooth of Vlad + Rib of Vlad + Ring of Vlad + Eye of Vlad"]}})
-
-  // Export.
-  const preset = builder.build()
-
-  if (self) {
-    const presets = (self.sotnRando || {}).presets || []
-    presets.push(preset)
-    self.sotnRando = Object.assign(self.sotnRando || {}, {
-      presets: presets,
-    })
-  } else if (!module.parent) {
-    console.log(preset.toString())
-  } else {
-    module.exports = preset
-  }
-})(typeof(self) !== 'undefined' ? self : null)
@@ -143,6 +143,56 @@
     'RBO8',
   ]
 
+  // List of zone names for spoilers.
+  const zoneLongNames = [
+    'Final Stage: Bloodlines',
+    'Colosseum',
+    'Catacombs',
+    'Center Cube',
+    'Abandoned Mine',
+    'Royal Chapel',
+    'Long Library',
+    'Marble Gallery',
+    'Outer Wall',
+    'Olrox\'s Quarters',
+    'Castle Entrance',
+    'Castle Entrance',
+    'Underground Caverns',
+    'Alchemy Laboratory',
+    'Clock Tower',
+    'Castle Keep',
+    'Reverse Colosseum',
+    'Floating Catacombs',
+    'Cave',
+    'Anti-Chapel',
+    'Forbidden Library',
+    'Black Marble Gallery',
+    'Reverse Outer Wall',
+    'Death Wing\'s Lair',
+    'Reverse Entrance',
+    'Reverse Caverns',
+    'Necromancy Laboratory',
+    'Reverse Clock Tower',
+    'Reverse Castle Keep',
+    'Olrox',
+    'Legion',
+    'Werewolf & Minotaur',
+    'Scylla',
+    'Doppleganger10',
+    'Hippogryph',
+    'Richter',
+    'Cerberus',
+    'Trio',
+    'Beezlebub',
+    'Death',
+    'Medusa',
+    'Creature',
+    'Doppleganger40',
+    'Shaft/Dracula',
+    'Akmodan II',
+    'Galamoth',
+  ]
+
   // Offsets in the bin of each zone file.
   const zones = [{
     id: ZONE.ST0,
@@ -377,6 +427,11 @@
   }]
 
   const exe = { pos: 0x0abb28, len: 703272 }
+
+  // CRC-32 checksums of the exe and each zone file in known vanilla images.
+  // Entries are generated with tools/fingerprint-data. Images are not compared
+  // while the list is empty.
+  const fingerprints = []
   const enemyListOff = 0xe90
   const enemyListLen = 292
   const enemyDataOff = 0x8900
@@ -457,6 +512,19 @@
 
   const defaultExtension = EXTENSION.GUARDED
 
+  const HINT = {
+    LOCATION:   'location',
+    REQUIRED:   'required',
+    UNREQUIRED: 'unrequired',
+  }
+
+  // The number of hints of each type given when hints are enabled without
+  // specifying them.
+  const defaultHints = {
+    location: 2,
+    required: 1,
+  }
+
   const LOCATION = {
     CRYSTAL_CLOAK:               'Crystal Cloak',
     MORMEGIL:                    'Mormegil',
@@ -589,8 +657,10 @@
     typeNames: typeNames,
     ZONE: ZONE,
     zoneNames: zoneNames,
+    zoneLongNames: zoneLongNames,
     zones: zones,
     exe: exe,
+    fingerprints: fingerprints,
     enemyListOff: enemyListOff,
     enemyListLen: enemyListLen,
     enemyDataOff: enemyDataOff,
@@ -603,6 +673,8 @@
     slots: slots,
     EXTENSION: EXTENSION,
     defaultExtension: defaultExtension,
+    HINT: HINT,
+    defaultHints: defaultHints,
     LOCATION: LOCATION,
     GLOBAL_DROP: GLOBAL_DROP,
     globalDropsCount: globalDropsCount,
@@ -241,12 +241,27 @@
     return 1
   }
 
-  function eccEdcCalc(fd, size) {
+  function eccEdcCalc(fd, size, sectors) {
     eccEdcInit()
     if (edcVerify(fd) !== 0) {
       throw new Error('error: sector 0 not a valid 2352 sector')
     }
     const buf = new Uint8Array(16)
+    // Only recalculate the given sectors if a list is provided.
+    if (sectors) {
+      sectors.forEach(function(sector) {
+        if (sector < 16 || sector >= (size / 2352)) {
+          return
+        }
+        read(fd, sector * 2352, buf.length, buf)
+        if (audioGuess(buf)) {
+          console.warn('warning: sector ' + sector + ' looks like an audio sector, skipping')
+          return
+        }
+        eccEdcGenerate(fd, sector * 2352)
+      })
+      return
+    }
     for (let sector = 16; sector < (size / 2352); sector++) {
       read(fd, sector * 2352, buf.length, buf)
       if (audioGuess(buf)) {
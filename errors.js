@@ -20,6 +20,26 @@
   _RandomizedFileError.prototype = Error.prototype
   RandomizedFileError.prototype = new _RandomizedFileError()
 
+  function UnrandomizedFileError() {
+    this.name = 'UnrandomizedFileError'
+    this.message = 'File was not randomized'
+    this.stack = new Error(this.message).stack
+  }
+
+  const _UnrandomizedFileError = function() {}
+  _UnrandomizedFileError.prototype = Error.prototype
+  UnrandomizedFileError.prototype = new _UnrandomizedFileError()
+
+  function UnknownImageError() {
+    this.name = 'UnknownImageError'
+    this.message = 'File is not a recognized vanilla image'
+    this.stack = new Error(this.message).stack
+  }
+
+  const _UnknownImageError = function() {}
+  _UnknownImageError.prototype = Error.prototype
+  UnknownImageError.prototype = new _UnknownImageError()
+
   function VersionError() {
     this.name = 'VersionError'
     this.message = 'Seed generated by a different version of the randomizer.'
@@ -50,12 +70,25 @@
   _ComplexityError.prototype = Error.prototype
   ComplexityError.prototype = new _ComplexityError()
 
+  function UnknownLocationError(name) {
+    this.name = 'UnknownLocationError'
+    this.message = 'Unknown relic location: ' + name
+    this.stack = new Error(this.message).stack
+  }
+
+  const _UnknownLocationError = function() {}
+  _UnknownLocationError.prototype = Error.prototype
+  UnknownLocationError.prototype = new _UnknownLocationError()
+
   const errors = {
     AssertionError,
     RandomizedFileError,
+    UnrandomizedFileError,
+    UnknownImageError,
     VersionError,
     SoftlockError,
     ComplexityError,
+    UnknownLocationError,
   }
 
   function isError(error) {
@@ -0,0 +1,199 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const Worker = require('worker_threads').Worker
+const seedrandom = require('seedrandom')
+const eccEdcCalc = require('./ecc-edc-recalc-js')
+const errors = require('./errors')
+const items = require('./items')
+const patch = require('./patch')
+const randomizeItems = require('./randomize_items')
+const randomizeMusic = require('./randomize_music')
+const randomizeRelics = require('./randomize_relics')
+const util = require('./util')
+
+const workerPath = path.join(__dirname, 'worker.js')
+
+// Creates worker threads that can be shared by several calls to generate().
+// The caller is responsible for terminating them.
+function createWorkers(count) {
+  if (!count) {
+    count = util.workerCountFromCores(os.cpus().length)
+  }
+  const workers = Array(count)
+  for (let i = 0; i < workers.length; i++) {
+    workers[i] = new Worker(workerPath)
+    workers[i].postMessage({persistent: true})
+  }
+  return workers
+}
+
+// Relic and planned item placement remove tiles from the item list. They are
+// restored after each seed so the next seed starts from the vanilla list.
+function saveTiles() {
+  const tiles = items.map(function(item) {
+    return item.tiles && item.tiles.slice()
+  })
+  return function restoreTiles() {
+    items.forEach(function(item, index) {
+      if (tiles[index]) {
+        item.tiles = tiles[index]
+      }
+    })
+  }
+}
+
+function getRng(version, options, seed, nonce) {
+  return new seedrandom(util.saltSeed(version, options, seed, nonce))
+}
+
+// Generates a seed and writes it to a vanilla bin.
+//
+// The bin may be a buffer, which is randomized in place, or a file
+// descriptor opened for reading and writing. If no bin is given, only the
+// checksum, url, and spoilers are generated.
+//
+// Resolves with:
+//   data: The randomized bin.
+//   checksum: The checksum of the writes.
+//   url: The seed url.
+//   info: The spoiler log levels, as formatted by util.formatInfo().
+//   spoiler: The spoilers, as returned by util.spoilerData().
+//   check: The writes of the seed, as a util.checked object.
+//   patch: A BPS patch of the randomized bin, if requested.
+async function generate(params) {
+  const version = params.version || require('./package').version
+  const seed = params.seed.toString()
+  let options = params.options
+  let preset
+  if (options instanceof util.Preset) {
+    // Custom presets are named in the game and encoded in the url.
+    preset = options
+    options = preset.options()
+  } else if (typeof(options) === 'string') {
+    options = util.optionsFromString(options)
+  }
+  const applied = util.Preset.options(options)
+  const bin = params.bin
+  if (bin !== undefined) {
+    util.checkVanilla(bin)
+  }
+  const info = util.newInfo()
+  info[1]['Seed'] = seed
+  // Only file descriptors are written as the seed is generated.
+  const check = new util.checked(typeof(bin) === 'number' ? bin : undefined)
+  const restoreTiles = saveTiles()
+  let relicResult
+  let itemsResult
+  try {
+    // Place planned progression items.
+    const removed = randomizeItems.placePlannedItems(applied)
+    // Randomize relics.
+    let workers = params.workers
+    if (!Array.isArray(workers)) {
+      workers = Array(workers || util.workerCountFromCores(os.cpus().length))
+      for (let i = 0; i < workers.length; i++) {
+        workers[i] = new Worker(workerPath)
+      }
+    }
+    relicResult = await util.randomizeRelics(
+      version,
+      options,
+      seed,
+      removed,
+      workers,
+      3,
+    )
+    util.mergeInfo(info, relicResult.info)
+    // Write relics mapping.
+    let result = randomizeRelics.writeRelics(
+      getRng(version, options, seed, 0),
+      applied,
+      relicResult,
+    )
+    check.apply(result.data)
+    util.mergeInfo(info, result.info)
+    relicResult.hints = result.hints
+    // Randomize items.
+    let itemsWorker
+    if (Array.isArray(params.workers)) {
+      itemsWorker = workers[0]
+    } else {
+      itemsWorker = new Worker(workerPath)
+    }
+    itemsResult = await util.randomizeItems(
+      version,
+      options,
+      seed,
+      itemsWorker,
+      1,
+      result.items,
+    )
+    check.apply(itemsResult.data)
+    util.mergeInfo(info, itemsResult.info)
+  } finally {
+    restoreTiles()
+  }
+  // Randomize music.
+  check.apply(randomizeMusic(getRng(version, options, seed, 2), applied))
+  util.setSeedText(check, seed, util.seedMenuPreset(
+    preset ? preset.id : options.preset,
+    relicResult && relicResult.hints,
+  ))
+  const checksum = check.sum()
+  // Verify expected checksum matches actual checksum.
+  if (params.checksum && params.checksum !== checksum) {
+    throw new errors.VersionError()
+  }
+  const generated = {
+    data: bin,
+    checksum: checksum,
+    url: util.optionsToUrl(
+      version,
+      preset || options,
+      checksum,
+      seed,
+      params.baseUrl,
+      params.compactUrl,
+    ),
+    info: info,
+    spoiler: util.spoilerData(
+      seed,
+      options,
+      checksum,
+      relicResult,
+      itemsResult,
+    ),
+    check: check,
+  }
+  if (bin !== undefined) {
+    let source
+    let size
+    if (typeof(bin) === 'number') {
+      size = fs.fstatSync(bin).size
+    } else {
+      size = bin.length
+      // Save the original sectors for the patch.
+      if (params.patch) {
+        source = patch.snapshot(bin, check.writes)
+      }
+      const writer = new util.checked(bin)
+      writer.apply(check)
+    }
+    // Write error detection codes.
+    eccEdcCalc(bin, size)
+    if (source) {
+      generated.patch = patch.createPatch(source, bin, {
+        version: version,
+        seed: seed,
+        options: util.optionsToString(options),
+        checksum: checksum,
+      })
+    }
+  }
+  return generated
+}
+
+generate.createWorkers = createWorkers
+
+module.exports = generate
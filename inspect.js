@@ -0,0 +1,351 @@
+(function(self) {
+
+  let constants
+  let errors
+  let items
+  let relics
+  let randomizeRelics
+  let util
+
+  if (self) {
+    constants = self.sotnRando.constants
+    errors = self.sotnRando.errors
+    items = self.sotnRando.items
+    relics = self.sotnRando.relics
+    randomizeRelics = self.sotnRando.randomizeRelics
+    util = self.sotnRando.util
+  } else {
+    constants = require('./constants')
+    errors = require('./errors')
+    items = require('./items')
+    relics = require('./relics')
+    randomizeRelics = require('./randomize_relics')
+    util = require('./util')
+  }
+
+  const TYPE = constants.TYPE
+  const RELIC = constants.RELIC
+  const ZONE = constants.ZONE
+  const zones = constants.zones
+  const tileIdOffset = constants.tileIdOffset
+  const equipIdOffset = constants.equipIdOffset
+
+  // The base address of Alucard's equipped item list.
+  const equipBaseAddress = 0x11a0d0
+
+  // Entity ids.
+  const RELIC_ENTITY = 0x000b
+  const ITEM_ENTITY = 0x000c
+  const ERASED_ENTITY = 0x000f
+
+  // The subweapon placed in tanks by turkey mode.
+  const turkey = {
+    name: 'Turkey',
+    type: TYPE.SUBWEAPON,
+    id: 13,
+  }
+
+  const equipmentTypes = [
+    TYPE.HELMET,
+    TYPE.ARMOR,
+    TYPE.CLOAK,
+    TYPE.ACCESSORY,
+  ]
+
+  function itemFromId(id, filter) {
+    return items.filter(function(item) {
+      return item.id === id && filter(item)
+    })[0]
+  }
+
+  function typeFilter(types) {
+    return function(item) {
+      return types.indexOf(item.type) !== -1
+    }
+  }
+
+  function relicFromId(id) {
+    return relics.filter(function(relic) {
+      return relic.relicId === id
+    })[0]
+  }
+
+  // Progression items are placed as relics.
+  function relicFromItem(item) {
+    return relics.filter(function(relic) {
+      return 'itemId' in relic
+        && relic.itemId === item.id
+        && util.tileIdOffsetFilter(item)
+    })[0]
+  }
+
+  function Reader(data) {
+    this.data = data
+    this.zones = {}
+  }
+
+  // Restored zone files are cached, as many tiles share a zone.
+  Reader.prototype.zone = function zone(zoneId) {
+    if (!(zoneId in this.zones)) {
+      this.zones[zoneId] = util.restoreFile(this.data, zones[zoneId])
+    }
+    return this.zones[zoneId]
+  }
+
+  Reader.prototype.readShort = function readShort(address) {
+    return this.data.readUInt16LE(address)
+  }
+
+  Reader.prototype.readWord = function readWord(address) {
+    return this.data.readUInt32LE(address)
+  }
+
+  Reader.prototype.zoneWord = function zoneWord(zoneId, address) {
+    return this.zone(zoneId).readUInt32LE(address)
+  }
+
+  // Returns the id and state of the first instance of an entity.
+  Reader.prototype.entity = function entity(entity) {
+    const zone = this.zone(entity.zones[0])
+    return {
+      id: zone.readUInt16LE(entity.entities[0] + 0x04),
+      state: zone.readUInt16LE(entity.entities[0] + 0x08),
+    }
+  }
+
+  Reader.prototype.tileId = function tileId(zoneId, index) {
+    const zone = zones[zoneId]
+    return this.zone(zoneId).readUInt16LE(zone.items + 0x02 * index)
+  }
+
+  Reader.prototype.tileItem = function tileItem(zoneId, index) {
+    return util.itemFromTileId(items, this.tileId(zoneId, index))
+  }
+
+  function erased(reader, location) {
+    if (location.erase && location.erase.instructions) {
+      const instruction = location.erase.instructions[0]
+      return reader.readWord(instruction.addresses[0])
+        === instruction.instruction
+    }
+    return false
+  }
+
+  // Locations that are patched with custom code instead of entity data.
+  const customLocations = {}
+
+  customLocations[RELIC.JEWEL_OF_OPEN] = function(reader, location) {
+    if (reader.zoneWord(ZONE.LIB, 0x032b08) === 0x08075180) {
+      const id = reader.zone(ZONE.LIB).readUInt16LE(0x134e) - equipIdOffset
+      return {item: itemFromId(id, typeFilter(equipmentTypes))}
+    }
+    if (!erased(reader, location)) {
+      return {relic: relicFromId(reader.data[location.ids[0].addresses[0]])}
+    }
+  }
+
+  customLocations[RELIC.RING_OF_VLAD] = function(reader, location) {
+    if (reader.readWord(0x059ee2c8) === 0x3402000c) {
+      const zone = reader.zone(ZONE.RNZ1)
+      const id = zone.readUInt16LE(zones[ZONE.RNZ1].rewards)
+      return {item: util.itemFromTileId(items, id)}
+    }
+    if (!erased(reader, location)) {
+      const address = location.ids[0].addresses[0]
+      return {relic: relicFromId(reader.readShort(address))}
+    }
+  }
+
+  customLocations[RELIC.GOLD_RING] = function(reader, location) {
+    const goldRing = util.itemFromTileId(items, location.itemId + tileIdOffset)
+    const entity = reader.entity(goldRing.tiles[0])
+    if (reader.zoneWord(ZONE.NO4, 0x04c590) === 0x08077aed) {
+      return {relic: relicFromId(entity.state)}
+    }
+    if (entity.id !== ERASED_ENTITY) {
+      const id = reader.readShort(location.ids[0].addresses[0])
+      return {item: util.itemFromTileId(items, id)}
+    }
+  }
+
+  customLocations[RELIC.HOLY_GLASSES] = function(reader, location) {
+    const entity = reader.entity({
+      zones: [ ZONE.CEN ],
+      entities: [ 0x1328 ],
+    })
+    if (entity.id === RELIC_ENTITY) {
+      return {relic: relicFromId(entity.state)}
+    }
+    if (!erased(reader, location)) {
+      const id = reader.readShort(location.ids[0].addresses[0])
+      return {item: itemFromId(id, util.tileIdOffsetFilter)}
+    }
+  }
+
+  // Returns the relic or progression item at a relic location.
+  function readLocation(reader, location) {
+    if (location.ability in customLocations) {
+      return customLocations[location.ability](reader, location)
+    }
+    const entity = location.entity || location.tile
+    if (entity) {
+      const data = reader.entity(entity)
+      switch (data.id) {
+      case ERASED_ENTITY:
+        return
+      case ITEM_ENTITY: {
+        const index = location.tile ? location.tile.index : data.state
+        return {item: reader.tileItem(entity.zones[0], index)}
+      }}
+      if (erased(reader, location)) {
+        return
+      }
+      if (location.ids && !location.ids[0].tileId) {
+        const address = location.ids[0].addresses[0]
+        return {relic: relicFromId(reader.readShort(address))}
+      }
+      if (data.id === RELIC_ENTITY) {
+        return {relic: relicFromId(data.state)}
+      }
+    }
+  }
+
+  function inspectRelics(reader, info) {
+    const placed = {}
+    randomizeRelics.getLocations().forEach(function(location) {
+      const content = readLocation(reader, location)
+      if (!content) {
+        return
+      }
+      let relic = content.relic
+      if (content.item) {
+        relic = relicFromItem(content.item)
+      }
+      if (relic) {
+        placed[relic.ability] = location
+      }
+    })
+    info[3]['Relic locations'] = relics.filter(function(relic) {
+      return relic.ability in placed
+    }).map(function(relic) {
+      return relic.name + ' at ' + placed[relic.ability].name
+    })
+  }
+
+  function equipmentName(item, empty) {
+    return item ? item.name : empty
+  }
+
+  function inspectEquipment(reader, info) {
+    function equipped(offset, empty) {
+      if (empty && reader.readWord(equipBaseAddress + empty) === 0) {
+        return
+      }
+      const id = reader.readShort(equipBaseAddress + offset) - equipIdOffset
+      return itemFromId(id, typeFilter(equipmentTypes))
+    }
+    const weapon = reader.readShort(equipBaseAddress + 0)
+    const shield = reader.readShort(equipBaseAddress + 12)
+    info[2]['Starting equipment'] = [
+      equipmentName(itemFromId(weapon, util.tileIdOffsetFilter), 'Empty hand'),
+      equipmentName(itemFromId(shield, util.tileIdOffsetFilter), 'Empty hand'),
+      equipmentName(equipped(24, 32), '----'),
+      equipmentName(equipped(36), '----'),
+      equipmentName(equipped(48, 56), '----'),
+      equipmentName(equipped(60, 68), '----'),
+    ]
+  }
+
+  // Decodes a tile value written by util.tileValue().
+  function tileItem(vanilla, tile, value) {
+    if (tile.shop) {
+      if (equipmentTypes.indexOf(vanilla.type) !== -1) {
+        return itemFromId(value - equipIdOffset, typeFilter(equipmentTypes))
+      }
+      return itemFromId(value, util.tileIdOffsetFilter)
+    }
+    if (tile.tank) {
+      if (value === turkey.id) {
+        return turkey
+      }
+      return itemFromId(value, typeFilter([TYPE.SUBWEAPON]))
+    }
+    if (tile.noOffset) {
+      return itemFromId(value, util.tileIdOffsetFilter)
+        || itemFromId(value, function() {
+          return true
+        })
+    }
+    if (util.candleTileFilter(tile)) {
+      value -= tile.candle << 8
+    }
+    return util.itemFromTileId(items, value)
+  }
+
+  function readTile(reader, vanilla, tile) {
+    if ('entities' in tile && !util.candleTileFilter(tile)) {
+      const id = reader.entity(tile).id
+      if (id === ERASED_ENTITY || id === RELIC_ENTITY) {
+        return
+      }
+    }
+    let value
+    if ('index' in tile) {
+      value = reader.tileId(tile.zones[0], tile.index)
+    } else if (util.candleTileFilter(tile)) {
+      value = reader.entity(tile).state
+    } else if ('addresses' in tile) {
+      value = reader.readShort(tile.addresses[0])
+    } else {
+      return
+    }
+    return tileItem(vanilla, tile, value)
+  }
+
+  function inspectItems(reader, info) {
+    const placements = []
+    items.filter(util.nonProgressionFilter).forEach(function(vanilla) {
+      (vanilla.tiles || []).forEach(function(tile) {
+        const item = readTile(reader, vanilla, tile)
+        if (item && !relicFromItem(item)) {
+          placements.push({
+            item: item,
+            vanilla: vanilla,
+            tile: tile,
+          })
+        }
+      })
+    })
+    util.mergeInfo(info, util.renderPlacements(placements))
+  }
+
+  function inspect(data) {
+    if (!util.isRandomized(data)) {
+      throw new errors.UnrandomizedFileError()
+    }
+    const reader = new Reader(data)
+    const info = util.newInfo()
+    const text = util.getSeedText(data)
+    info[1]['Seed'] = text.seed
+    // The first hint is written in place of the preset, in which case the
+    // preset can't be read back.
+    if (text.preset && util.isSeedMenuHint(text.preset)) {
+      info[1]['Hint'] = text.preset
+    } else if (text.preset) {
+      info[1]['Preset'] = text.preset
+    }
+    inspectEquipment(reader, info)
+    inspectRelics(reader, info)
+    inspectItems(reader, info)
+    return info
+  }
+
+  const exports = inspect
+  if (self) {
+    self.sotnRando = Object.assign(self.sotnRando || {}, {
+      inspect: exports,
+    })
+  } else {
+    module.exports = exports
+  }
+})(typeof(self) !== 'undefined' ? self : null)
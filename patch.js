@@ -0,0 +1,256 @@
+(function(self) {
+
+  let errors
+  let util
+
+  if (self) {
+    errors = self.sotnRando.errors
+    util = self.sotnRando.util
+  } else {
+    errors = require('./errors')
+    util = require('./util')
+  }
+
+  const sectorSize = 2352
+
+  // BPS patch actions.
+  const SOURCE_READ = 0
+  const TARGET_READ = 1
+  const SOURCE_COPY = 2
+  const TARGET_COPY = 3
+
+  // Unchanged bytes shorter than this are included in the surrounding write.
+  const minGap = 8
+
+  const magic = 'BPS1'
+
+  function writeNumber(bytes, num) {
+    while (true) {
+      const x = num % 0x80
+      num = Math.floor(num / 0x80)
+      if (num === 0) {
+        bytes.push(0x80 | x)
+        break
+      }
+      bytes.push(x)
+      num--
+    }
+  }
+
+  function writeWord(bytes, val) {
+    for (let i = 0; i < 4; i++) {
+      bytes.push((val >>> (8 * i)) & 0xff)
+    }
+  }
+
+  function readNumber(state) {
+    let num = 0
+    let shift = 1
+    while (true) {
+      if (state.offset >= state.bps.length) {
+        throw new Error('Patch file is truncated')
+      }
+      const x = state.bps[state.offset++]
+      num += (x & 0x7f) * shift
+      if (x & 0x80) {
+        break
+      }
+      shift *= 0x80
+      num += shift
+    }
+    return num
+  }
+
+  function readWord(bytes, offset) {
+    return (bytes[offset]
+      | (bytes[offset + 1] << 8)
+      | (bytes[offset + 2] << 16)
+      | (bytes[offset + 3] << 24)) >>> 0
+  }
+
+  function readHeader(bps) {
+    for (let i = 0; i < magic.length; i++) {
+      if (bps[i] !== magic.charCodeAt(i)) {
+        throw new Error('Not a BPS patch file')
+      }
+    }
+    if (util.crc32(bps.subarray(0, bps.length - 4))
+        !== readWord(bps, bps.length - 4)) {
+      throw new Error('Patch file is corrupt')
+    }
+    const state = {
+      bps: bps,
+      offset: magic.length,
+    }
+    state.sourceSize = readNumber(state)
+    state.targetSize = readNumber(state)
+    const metaSize = readNumber(state)
+    const meta = bps.subarray(state.offset, state.offset + metaSize)
+    state.offset += metaSize
+    state.metadata = {}
+    if (metaSize) {
+      state.metadata = JSON.parse(new TextDecoder().decode(meta))
+    }
+    return state
+  }
+
+  function readMetadata(bps) {
+    return readHeader(bps).metadata
+  }
+
+  function touchedSectors(writes) {
+    const sectors = {}
+    Object.getOwnPropertyNames(writes).forEach(function(address) {
+      sectors[Math.floor(parseInt(address) / sectorSize)] = true
+    })
+    return Object.getOwnPropertyNames(sectors).map(function(sector) {
+      return parseInt(sector)
+    }).sort(function(a, b) {
+      return a - b
+    })
+  }
+
+  // Save the state of a file before writes are applied to it.
+  function snapshot(data, writes) {
+    return {
+      size: data.length,
+      crc: util.crc32(data),
+      sectors: touchedSectors(writes).map(function(sector) {
+        const start = sector * sectorSize
+        return {
+          index: sector,
+          data: new Uint8Array(data.subarray(start, start + sectorSize)),
+        }
+      }),
+    }
+  }
+
+  function createPatch(source, data, metadata) {
+    const bytes = []
+    for (let i = 0; i < magic.length; i++) {
+      bytes.push(magic.charCodeAt(i))
+    }
+    writeNumber(bytes, source.size)
+    writeNumber(bytes, data.length)
+    const meta = new TextEncoder().encode(JSON.stringify(metadata || {}))
+    writeNumber(bytes, meta.length)
+    Array.prototype.push.apply(bytes, meta)
+    // Only touched sectors can differ from the source.
+    let outputOffset = 0
+    source.sectors.forEach(function(sector) {
+      const start = sector.index * sectorSize
+      let i = 0
+      while (i < sector.data.length) {
+        if (data[start + i] === sector.data[i]) {
+          i++
+          continue
+        }
+        let last = i
+        for (let j = i + 1; j < sector.data.length && j - last < minGap; j++) {
+          if (data[start + j] !== sector.data[j]) {
+            last = j
+          }
+        }
+        if (start + i > outputOffset) {
+          writeNumber(bytes, (start + i - outputOffset - 1) * 4 + SOURCE_READ)
+        }
+        writeNumber(bytes, (last - i) * 4 + TARGET_READ)
+        for (let j = i; j <= last; j++) {
+          bytes.push(data[start + j])
+        }
+        outputOffset = start + last + 1
+        i = last + 1
+      }
+    })
+    if (data.length > outputOffset) {
+      writeNumber(bytes, (data.length - outputOffset - 1) * 4 + SOURCE_READ)
+    }
+    writeWord(bytes, source.crc)
+    writeWord(bytes, util.crc32(data))
+    writeWord(bytes, util.crc32(bytes))
+    return new Uint8Array(bytes)
+  }
+
+  // Returns the patched data and the list of sectors it modified.
+  function applyPatch(data, bps) {
+    const state = readHeader(bps)
+    if (data.length !== state.sourceSize
+        || util.crc32(data) !== readWord(bps, bps.length - 12)) {
+      throw new errors.UnknownImageError()
+    }
+    const target = new Uint8Array(state.targetSize)
+    const sectors = {}
+    const end = bps.length - 12
+    let outputOffset = 0
+    let sourceOffset = 0
+    let targetOffset = 0
+    function touch(length) {
+      const first = Math.floor(outputOffset / sectorSize)
+      const last = Math.floor((outputOffset + length - 1) / sectorSize)
+      for (let sector = first; sector <= last; sector++) {
+        sectors[sector] = true
+      }
+    }
+    while (state.offset < end) {
+      const num = readNumber(state)
+      const action = num % 4
+      const length = Math.floor(num / 4) + 1
+      if (outputOffset + length > target.length) {
+        throw new Error('Patch file is corrupt')
+      }
+      switch (action) {
+      case SOURCE_READ:
+        target.set(data.subarray(outputOffset, outputOffset + length),
+                   outputOffset)
+        break
+      case TARGET_READ:
+        touch(length)
+        target.set(bps.subarray(state.offset, state.offset + length),
+                   outputOffset)
+        state.offset += length
+        break
+      case SOURCE_COPY: {
+        touch(length)
+        const offset = readNumber(state)
+        sourceOffset += (offset & 1 ? -1 : 1) * Math.floor(offset / 2)
+        target.set(data.subarray(sourceOffset, sourceOffset + length),
+                   outputOffset)
+        sourceOffset += length
+        break
+      }
+      case TARGET_COPY: {
+        touch(length)
+        const offset = readNumber(state)
+        targetOffset += (offset & 1 ? -1 : 1) * Math.floor(offset / 2)
+        // Target copies may overlap their own output.
+        for (let i = 0; i < length; i++) {
+          target[outputOffset + i] = target[targetOffset++]
+        }
+        break
+      }}
+      outputOffset += length
+    }
+    return {
+      data: target,
+      metadata: state.metadata,
+      crc: readWord(bps, bps.length - 8),
+      sectors: Object.getOwnPropertyNames(sectors).map(function(sector) {
+        return parseInt(sector)
+      }),
+    }
+  }
+
+  const exports = {
+    snapshot: snapshot,
+    createPatch: createPatch,
+    readMetadata: readMetadata,
+    applyPatch: applyPatch,
+  }
+  if (self) {
+    self.sotnRando = Object.assign(self.sotnRando || {}, {
+      patch: exports,
+    })
+  } else {
+    module.exports = exports
+  }
+})(typeof(self) !== 'undefined' ? self : null)
@@ -0,0 +1,162 @@
+(function(self) {
+
+  let util
+  let validate
+  if (self) {
+    util = self.sotnRando.util
+    validate = self.sotnRando.validate
+  } else {
+    util = require('./util')
+    validate = require('./validate')
+  }
+
+  // The registry of presets. Presets inherit from other presets in the
+  // registry, so it is exported before it is filled.
+  const exports = []
+
+  function report(id, message) {
+    console.error('presets/' + id + '.json: ' + message)
+  }
+
+  function sortPresets(presets) {
+    presets.sort(function(a, b) {
+      if (!('weight' in a && 'id' in a)) {
+        if (!('weight' in b && 'id' in b)) {
+          return 0
+        }
+        return 1
+      } else if (!('weight' in b && 'id' in b)) {
+        return -1
+      }
+      const weight = a.weight - b.weight
+      if (weight === 0) {
+        if (a.id < b.id) {
+          return -1
+        } else if (a.id > b.id) {
+          return 1
+        }
+      }
+      return weight
+    })
+  }
+
+  // Builds preset files into the registry. Inherited presets are built first.
+  // Invalid presets are reported and left out.
+  function addPresets(files) {
+    const byId = {}
+    files.forEach(function(file) {
+      byId[file.id] = file
+    })
+    const added = {}
+    function add(file, inheriting) {
+      if (file.id in added) {
+        return
+      }
+      if (inheriting.indexOf(file.id) !== -1) {
+        report(file.id, 'Circular inheritance: '
+               + inheriting.concat([file.id]).join(' > '))
+        added[file.id] = false
+        return
+      }
+      const json = file.json
+      const invalid = validate.validate(json)
+      if (!invalid.length && json.metadata.id !== file.id) {
+        invalid.push({
+          path: '$.metadata.id',
+          value: json.metadata.id,
+          message: 'Expected the name of the preset file "' + file.id + '"',
+        })
+      }
+      if (invalid.length) {
+        invalid.forEach(function(error) {
+          report(file.id, validate.formatError(error))
+        })
+        added[file.id] = false
+        return
+      }
+      if ('inherits' in json && json.inherits in byId) {
+        add(byId[json.inherits], inheriting.concat([file.id]))
+        if (file.id in added) {
+          return
+        }
+        if (!added[json.inherits]) {
+          report(file.id, 'Inherits an invalid preset: ' + json.inherits)
+          added[file.id] = false
+          return
+        }
+      }
+      try {
+        exports.push(util.PresetBuilder.fromJSON(json).build())
+        added[file.id] = true
+      } catch (err) {
+        report(file.id, err.message)
+        added[file.id] = false
+      }
+    }
+    files.forEach(function(file) {
+      add(file, [])
+    })
+    sortPresets(exports)
+  }
+
+  let loading
+
+  // Loads the presets listed in the manifest that is published with the web
+  // app. The manifest is only loaded once.
+  function loadPresets(url) {
+    if (!loading) {
+      loading = fetch(url + 'build/presets.json').then(function(response) {
+        return response.json()
+      }).then(function(ids) {
+        return Promise.all(ids.map(function(id) {
+          return fetch(url + 'presets/' + id + '.json').then(
+            function(response) {
+              return response.json()
+            }
+          ).then(function(json) {
+            return {
+              id: id,
+              json: json,
+            }
+          }).catch(function(err) {
+            report(id, err.message)
+          })
+        }))
+      }).then(function(files) {
+        addPresets(files.filter(function(file) {
+          return file
+        }))
+        return exports
+      })
+    }
+    return loading
+  }
+
+  if (self) {
+    self.sotnRando = Object.assign(self.sotnRando || {}, {
+      presets: exports,
+      loadPresets: loadPresets,
+    })
+  } else {
+    module.exports = exports
+    // Discover the preset files.
+    const fs = require('fs')
+    const path = require('path')
+    const dir = path.join(__dirname, 'presets')
+    const files = []
+    fs.readdirSync(dir).filter(function(name) {
+      return path.extname(name) === '.json'
+    }).sort().forEach(function(name) {
+      const id = path.basename(name, '.json')
+      try {
+        files.push({
+          id: id,
+          json: JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8')),
+        })
+      } catch (err) {
+        report(id, err.message)
+      }
+    })
+    addPresets(files)
+  }
+})(typeof(self) !== 'undefined' ? self : null)
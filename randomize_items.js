@@ -341,6 +341,14 @@
       cloak ? cloak.name : '----',
       other ? other.name : '----',
     ]
+    return {
+      weapon: weapon,
+      shield: shield,
+      helmet: helmet,
+      armor: armor,
+      cloak: cloak,
+      other: other,
+    }
   }
 
   function randomizeCandles(rng, items, pool) {
@@ -1007,13 +1015,22 @@
     const info = util.newInfo()
     const addon = []
     let pool
+    let equipment
+    let placements
+    // Remember which vanilla item each tile belongs to.
+    const vanilla = new Map()
+    items.forEach(function(item) {
+      (item.tiles || []).forEach(function(tile) {
+        vanilla.set(tile, item)
+      })
+    })
     if (options.startingEquipment) {
       // Randomize starting equipment.
       let planned
       if (typeof(options.startingEquipment) === 'object') {
         planned = options.startingEquipment
       }
-      randomizeStartingEquipment(data, rng, items, info, planned)
+      equipment = randomizeStartingEquipment(data, rng, items, info, planned)
     }
     let retries = 0
     while (true) {
@@ -1093,6 +1110,21 @@
             || options.prologueRewards) {
           const itemsToWrite = (addon.concat(pool)).filter(util.tilesFilter)
           itemsToWrite.forEach(writeTiles(data))
+          placements = []
+          itemsToWrite.forEach(function(item) {
+            const placed = Object.assign({}, item)
+            delete placed.tiles
+            item.tiles.forEach(function(tile) {
+              const original = Object.assign({}, vanilla.get(tile))
+              delete original.tiles
+              placements.push({
+                item: placed,
+                vanilla: original,
+                tile: tile,
+              })
+            })
+          })
+          util.mergeInfo(info, util.renderPlacements(placements))
         }
       } catch (err) {
         if (err.name === 'AssertionError' && retries++ < MAX_RETRIES) {
@@ -1105,6 +1137,8 @@
     return {
       data: data,
       info: info,
+      equipment: equipment,
+      placements: placements,
     }
   }
 
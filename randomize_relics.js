@@ -18,11 +18,14 @@
     constants = require('./constants')
     errors = require('./errors')
     extension = require('./extension')
-    presets = require('./build/presets')
+    presets = require('./presets')
     relics = require('./relics')
     util = require('./util')
   }
 
+  // The number of relic moves to try when meeting a complexity target.
+  const maxTargetMoves = 1000
+
   function items() {
     if (self) {
       return self.sotnRando.items
@@ -308,103 +311,323 @@
     return Math.floor(rng() * array.length)
   }
 
-  /** Helper function to see if a set is strictly a subset of another. */
-  function isSubset(firstSet, secondSet) {
-    return Array.from(firstSet).reduce(function(allPresent, element) {
-      return allPresent && secondSet.has(element)
-    }, true)
+  // Returns a function that tests whether a lock is satisfied by a set of
+  // abilities. Abilities that are not being randomized are always available,
+  // unless they are excluded.
+  function unlocks(owned, randomized, excluded) {
+    return function(lock) {
+      return Array.from(lock).every(function(ability) {
+        if (excluded && excluded.has(ability)) {
+          return false
+        }
+        return !randomized.has(ability) || owned.has(ability)
+      })
+    }
   }
 
-  /**
-   * Helper function to take a list of locks and replace all instances
-   * of a single ability with new locks
-   *
-   * @param {Array} locks - A list of locks to update
-   * @param {String} abilityToReplace - The ability to replace requirements of
-   * @param {Array} locksToAdd - A list of lock sets to replace the original
-   *   ability requirement with
-   */
-  function replaceLocks(locks, abilityToReplace, locksToAdd) {
-    const newLocks = []
-    locks.forEach(function(lock) {
-      if (!lock.has(abilityToReplace)) {
-        // Any locks that didn't require the relic can stay the same
-        newLocks.push(lock)
-      } else {
-        // Otherwise, remove the old relic as a requirement and instead
-        // add all the locks to that relic
-        locksToAdd.forEach(function(transferLock) {
-          let newLock = new Set(lock)
-          newLock.delete(abilityToReplace)
-          transferLock.forEach(function(requirement) {
-            newLock.add(requirement)
-          })
-          newLocks.push(newLock)
+  // Walks the lock graph forward from a set of starting abilities and returns
+  // every ability that can be collected. Excluded abilities are never
+  // collected.
+  function reachable(start, locations, placement, randomized, excluded) {
+    const owned = new Set(start.filter(function(ability) {
+      return !excluded || !excluded.has(ability)
+    }))
+    const isUnlocked = unlocks(owned, randomized, excluded)
+    let found = true
+    while (found) {
+      found = false
+      locations.forEach(function(location) {
+        const ability = placement[location.id]
+        if (ability
+            && !owned.has(ability)
+            && !(excluded && excluded.has(ability))
+            && location.locks.some(isUnlocked)) {
+          owned.add(ability)
+          found = true
+        }
+      })
+    }
+    return owned
+  }
+
+  // Returns every combination of one ability from each escape requirement.
+  function hittingSets(escapes) {
+    return escapes.reduce(function(sets, escape) {
+      const next = []
+      sets.forEach(function(set) {
+        escape.forEach(function(ability) {
+          next.push(new Set(set).add(ability))
+        })
+      })
+      return next
+    }, [new Set()])
+  }
+
+  // A location can be escaped if it can't be reached without satisfying one
+  // of its escape requirements.
+  function canEscape(location, start, locations, placement, randomized) {
+    if (!location.escapes.length) {
+      return true
+    }
+    return hittingSets(location.escapes).every(function(excluded) {
+      const owned = reachable(
+        start,
+        locations,
+        placement,
+        randomized,
+        excluded,
+      )
+      return !location.locks.some(unlocks(owned, randomized, excluded))
+    })
+  }
+
+  // Assumed fill: each relic is placed in a location that is reachable while
+  // assuming every relic that has yet to be placed is owned. Placing relics
+  // only ever removes abilities from that assumption, so every relic remains
+  // reachable once the fill completes.
+  function fill(rng, relics, locations, placement, randomized, progression) {
+    placement = Object.assign({}, placement)
+    const placed = Object.getOwnPropertyNames(placement).map(function(id) {
+      return placement[id]
+    })
+    const unplaced = util.shuffled(rng, relics.filter(function(relic) {
+      return placed.indexOf(relic.ability) === -1
+    })).map(function(relic) {
+      return relic.ability
+    })
+    // Progression relics are placed first, while the most locations are
+    // available to them.
+    unplaced.sort(function(a, b) {
+      return progression.has(a) - progression.has(b)
+    })
+    while (unplaced.length) {
+      // If a relic has nowhere to go, the next relic in the pool is tried.
+      let available = []
+      let index = unplaced.length
+      while (!available.length && index--) {
+        const assumed = unplaced.slice(0, index).concat(
+          unplaced.slice(index + 1),
+        )
+        const owned = reachable(assumed, locations, placement, randomized)
+        const isUnlocked = unlocks(owned, randomized)
+        const isProgression = progression.has(unplaced[index])
+        available = locations.filter(function(location) {
+          return !(location.id in placement)
+            && !(isProgression && location.junk)
+            && location.locks.some(isUnlocked)
+            && canEscape(location, assumed, locations, placement, randomized)
         })
       }
+      if (!available.length) {
+        throw new errors.SoftlockError()
+      }
+      const ability = unplaced.splice(index, 1)[0]
+      placement[available[randIdx(rng, available)].id] = ability
+    }
+    return placement
+  }
+
+  // Returns true if every relic can be collected and every location holding a
+  // relic can be escaped.
+  function isValid(locations, placement, randomized) {
+    if (reachable([], locations, placement, randomized).size
+        !== randomized.size) {
+      return false
+    }
+    return locations.every(function(location) {
+      return !(location.id in placement)
+        || canEscape(location, [], locations, placement, randomized)
     })
-    return newLocks
   }
 
-  function pickRelicLocations(rng, pool, locations, mapping) {
-    if (!pool.relics.length) {
-      return mapping
+  // Returns the relics collected in each sphere of a playthrough. Sphere 0 is
+  // every relic that can be collected without any relics, and each following
+  // sphere is every relic unlocked by the spheres before it.
+  function spheres(locations, placement, randomized) {
+    const spheres = []
+    const owned = new Set()
+    while (true) {
+      const isUnlocked = unlocks(owned, randomized)
+      const sphere = locations.filter(function(location) {
+        const ability = placement[location.id]
+        return ability
+          && !owned.has(ability)
+          && location.locks.some(isUnlocked)
+      }).map(function(location) {
+        return placement[location.id]
+      })
+      if (!sphere.length) {
+        break
+      }
+      sphere.forEach(function(ability) {
+        owned.add(ability)
+      })
+      spheres.push(sphere)
     }
-    mapping = mapping || {}
-    for (let i = 0; i < pool.relics.length; i++) {
-      const remainingRelics = pool.relics.slice()
-      const relic = remainingRelics.splice(i, 1)[0]
-      // Find a location not locked by the current relic.
-      const locationsAvailable = pool.locations.filter(function(location) {
-        return location.locks.some(function(lock) {
-          return !lock.has(relic.ability)
-        })
+    return spheres
+  }
+
+  // Returns the number of relics in the shortest chain of relics required to
+  // complete a goal. A relic collected in sphere n is the last of a chain of
+  // n + 1 relics.
+  function goalDepth(goal, locations, placement, randomized) {
+    const depths = {}
+    spheres(locations, placement, randomized).forEach(function(sphere, index) {
+      sphere.forEach(function(ability) {
+        depths[ability] = index + 1
       })
-      if (locationsAvailable.length) {
-        // Get random location.
-        const location = locationsAvailable[randIdx(rng, locationsAvailable)]
-        // After placing the relic in this location, anything previously
-        // locked by the relic is now locked by the requirements of the new
-        // location.
-        const newLocations = pool.locations.filter(function(newLocation) {
-          return newLocation !== location
-        }).map(function(newLocation) {
-          newLocation = Object.assign({}, newLocation)
-          const newLocks = replaceLocks(
-            newLocation.locks,
-            relic.ability,
-            location.locks,
-          ).filter(function(lock) {
-            return !lock.has(relic.ability)
-          })
-          // Filter out locks that are supersets of other locks.
-          newLocks.sort(function(a, b) { return a.size - b.size })
-          for (let i = 0; i < newLocks.length - 1; i++) {
-            const lock = newLocks[i]
-            let j = i + 1
-            while (j < newLocks.length) {
-              // If lock i is a subset of lock j, remove j from the list.
-              if (isSubset(lock, newLocks[j])) {
-                newLocks.splice(j, 1)
-              } else {
-                j++
-              }
-            }
-          }
-          newLocation.locks = newLocks
-          return newLocation
-        })
-        // Add selection to mapping.
-        const newMapping = Object.assign({}, mapping)
-        newMapping[relic.ability] = location
-        // Pick from remaining pool.
-        return pickRelicLocations(rng, {
-          locations: newLocations,
-          relics: remainingRelics,
-        }, locations, newMapping)
+    })
+    return goal.reduce(function(min, lock) {
+      const depth = Array.from(lock).reduce(function(max, ability) {
+        if (!randomized.has(ability)) {
+          return max
+        }
+        return Math.max(max, ability in depths ? depths[ability] : Infinity)
+      }, 0)
+      return min === undefined || depth < min ? depth : min
+    }, undefined)
+  }
+
+  // Returns the placement constraints of a preset. Each constraint lists
+  // relics that can be placed at any of a list of locations. Constraints are
+  // keyed by location ids joined by "-", and their relics are a string of
+  // abilities. Relics and locations that are not being randomized are left
+  // out.
+  function placementConstraints(placed, locations, randomized) {
+    const ids = locations.map(function(location) {
+      return location.id
+    })
+    return Object.getOwnPropertyNames(placed || {}).map(function(key) {
+      return {
+        relics: Array.from(placed[key]).filter(function(ability) {
+          return randomized.has(ability)
+        }),
+        locations: key.split('-').filter(function(id) {
+          return ids.indexOf(id) !== -1
+        }),
+      }
+    })
+  }
+
+  // Returns the number of relics a constraint places, which is either every
+  // relic or every location of the constraint, whichever is fewer.
+  function constraintSize(constraint) {
+    return Math.min(constraint.relics.length, constraint.locations.length)
+  }
+
+  // Places the relics of each constraint at random locations of that
+  // constraint.
+  function placeConstrained(rng, constraints) {
+    const placement = {}
+    constraints.forEach(function(constraint) {
+      const placed = Object.getOwnPropertyNames(placement).map(function(id) {
+        return placement[id]
+      })
+      const relics = util.shuffled(rng, constraint.relics.filter(
+        function(ability) {
+          return placed.indexOf(ability) === -1
+        }
+      ))
+      const locations = util.shuffled(rng, constraint.locations.filter(
+        function(id) {
+          return !(id in placement)
+        }
+      ))
+      for (let i = 0; i < Math.min(relics.length, locations.length); i++) {
+        placement[locations[i]] = relics[i]
+      }
+    })
+    return placement
+  }
+
+  // Returns true if every constraint has as many of its relics at its
+  // locations as it places.
+  function meetsConstraints(placement, constraints) {
+    return constraints.every(function(constraint) {
+      return constraint.locations.filter(function(id) {
+        return constraint.relics.indexOf(placement[id]) !== -1
+      }).length >= constraintSize(constraint)
+    })
+  }
+
+  // Returns how far a depth is from a complexity target.
+  function targetDistance(target, depth) {
+    if (!Number.isNaN(target.min) && depth < target.min) {
+      return target.min - depth
+    }
+    if ('max' in target && depth > target.max) {
+      return depth - target.max
+    }
+    return 0
+  }
+
+  // Moves relics between locations until the goal depth meets the complexity
+  // target. Moves that bring the depth further from the target, that would
+  // make the placement invalid, that would put progression in a junk
+  // location, or that would break a placement constraint are undone. A target
+  // with both bounds is aimed at a random depth within it, so that depths are
+  // spread across the target instead of stopping at its nearest bound.
+  function meetTarget(rng, placement, locations, randomized, progression,
+                      constraints, goal, target) {
+    let aim = target
+    if (!Number.isNaN(target.min) && 'max' in target) {
+      const range = target.max - target.min + 1
+      const depth = target.min + Math.floor(rng() * range)
+      aim = {
+        min: depth,
+        max: depth,
+      }
+    }
+    let distance = targetDistance(aim, goalDepth(
+      goal,
+      locations,
+      placement,
+      randomized,
+    ))
+    for (let i = 0; distance && i < maxTargetMoves; i++) {
+      const from = locations[randIdx(rng, locations)]
+      const to = locations[randIdx(rng, locations)]
+      if (from === to || !(from.id in placement)) {
+        continue
+      }
+      if ((to.junk && progression.has(placement[from.id]))
+          || (from.junk && progression.has(placement[to.id]))) {
+        continue
+      }
+      const candidate = Object.assign({}, placement)
+      candidate[to.id] = placement[from.id]
+      if (to.id in placement) {
+        candidate[from.id] = placement[to.id]
+      } else {
+        delete candidate[from.id]
+      }
+      if (!meetsConstraints(candidate, constraints)) {
+        continue
+      }
+      if (!isValid(locations, candidate, randomized)) {
+        continue
       }
+      const candidateDistance = targetDistance(aim, goalDepth(
+        goal,
+        locations,
+        candidate,
+        randomized,
+      ))
+      if (candidateDistance <= distance) {
+        placement = candidate
+        distance = candidateDistance
+      }
+    }
+    // Any depth within the target is accepted if the aim can't be met.
+    if (targetDistance(target, goalDepth(
+      goal,
+      locations,
+      placement,
+      randomized,
+    ))) {
+      throw new errors.ComplexityError()
     }
-    throw new errors.SoftlockError()
+    return placement
   }
 
   function patchAlchemyLabCutscene(data) {
@@ -827,71 +1050,68 @@
     return abilities
   }
 
-  function canEscape(graph, ability, requirements) {
-    const solutions = solve(graph, [new Set(ability)])
-    if (!solutions.length || !solutions[0].size) {
-      return false
-    }
-    const abilities = collectAbilities(Array.from(solutions[0])[0])
-    return requirements.reduce(function(satisfied, requirement) {
-      const lock = Array.from(requirement)
-      return satisfied || abilities.every(function(abilities) {
-        return lock.every(function(ability) {
-          return abilities.has(ability)
-        })
-      })
-    }, false)
-  }
-
   function randomize(rng, placed, relics, locations, goal, target) {
-    // Get new locations pool.
-    const pool = {
-      relics: util.shuffled(rng, relics),
-      locations: locations.slice(),
-    }
-    while (pool.locations.length > relics.length) {
-      pool.locations.splice(randIdx(rng, pool.locations), 1)
-    }
-    // Remove placed relics and locations.
-    let mapping
-    if (typeof(placed) === 'object') {
-      const placedLocations = Object.getOwnPropertyNames(placed)
-      const placedRelics = placedLocations.map(function(location) {
-        return placed[location]
-      })
-      mapping = {}
-      placedLocations.forEach(function(location) {
-        mapping[placed[location]] = locations.filter(function(loc) {
-          return loc.id === location
-        })[0]
-      })
-      pool.relics = pool.relics.filter(function(relic) {
-        return placedRelics.indexOf(relic.ability) === -1
+    const randomized = new Set(relics.map(function(relic) {
+      return relic.ability
+    }))
+    // Relics that open locks or complete the goal are progression.
+    const progression = new Set()
+    locations.forEach(function(location) {
+      location.locks.concat(location.escapes).forEach(function(lock) {
+        lock.forEach(function(ability) {
+          progression.add(ability)
+        })
       })
-      pool.locations = pool.locations.filter(function(location) {
-        return placedLocations.indexOf(location.id) === -1
+    })
+    if (goal) {
+      goal.forEach(function(lock) {
+        lock.forEach(function(ability) {
+          progression.add(ability)
+        })
       })
     }
-    // Place relics.
-    const result = pickRelicLocations(rng, pool, locations, mapping)
-    // Restore original location locks in mapping.
-    mapping = {}
-    Object.getOwnPropertyNames(result).forEach(function(ability) {
-      mapping[ability] = locations.filter(function(location) {
-        return location.id === result[ability].id
-      }).pop()
+    // Junk locations can't hold progression.
+    const open = locations.filter(function(location) {
+      return !location.junk
     })
-    // Make an inverse mapping of location => ability.
-    const inv = Object.getOwnPropertyNames(mapping).reduce(
-      function(inv, ability) {
-        inv[result[ability].id] = ability
-        return inv
-      },
-      {}
+    if (relics.filter(function(relic) {
+      return progression.has(relic.ability)
+    }).length > open.length) {
+      throw new Error('Not enough relic locations for progression')
+    }
+    // Placed relics are constrained to their locations.
+    const constraints = placementConstraints(placed, locations, randomized)
+    // Place relics.
+    let placement = fill(
+      rng,
+      relics,
+      locations,
+      placeConstrained(rng, constraints),
+      randomized,
+      progression,
     )
-    // Add placeholders for locations that are not in logic.
+    if (!isValid(locations, placement, randomized)) {
+      throw new errors.SoftlockError()
+    }
+    if (target !== undefined) {
+      placement = meetTarget(
+        rng,
+        placement,
+        locations,
+        randomized,
+        progression,
+        constraints,
+        goal,
+        target,
+      )
+    }
+    // Map abilities to their locations.
+    const mapping = {}
     locations.forEach(function(location) {
-      if (!(location.id in inv)) {
+      if (location.id in placement) {
+        mapping[placement[location.id]] = location
+      } else {
+        // Add placeholders for locations that are not in logic.
         mapping['(' + location.id + ')'] = location
       }
     })
@@ -904,29 +1124,15 @@
       solutions = solve(graphed, goal)
       depth = complexity(solutions)
       // If the complexity target is not met, fail.
-      if ((!Number.isNaN(target.min) && depth < target.min)
-          || ('max' in target && depth > target.max)) {
+      if (targetDistance(target, depth)) {
         throw new errors.ComplexityError()
       }
-      // Collect locations with escape requirements.
-      const escape = []
-      Object.getOwnPropertyNames(mapping).forEach(function(ability) {
-        const location = mapping[ability]
-        if (location.escapes.length) {
-          escape.push(ability)
-        }
-      })
-      // Ensure escape requirements are satisfied.
-      escape.forEach(function(ability) {
-        if (!canEscape(graphed, ability, mapping[ability].escapes)) {
-          throw new errors.SoftlockError()
-        }
-      })
     }
     return {
       mapping: mapping,
       solutions: solutions,
       depth: depth,
+      spheres: spheres(locations, placement, randomized),
     }
   }
 
@@ -958,7 +1164,7 @@
     Object.getOwnPropertyNames(locations).filter(function(location) {
       return location !== 'extension'
     }).forEach(function(location) {
-      if (location !== 'placed') {
+      if (location !== 'placed' && location !== 'junk') {
         map[location] = locations[location].filter(function(lock) {
           return lock[0] !== '+'
         })
@@ -972,7 +1178,7 @@
     Object.getOwnPropertyNames(locations).filter(function(location) {
       return location !== 'extension'
     }).forEach(function(location) {
-      if (location !== 'placed') {
+      if (location !== 'placed' && location !== 'junk') {
         map[location] = locations[location].filter(function(lock) {
           return lock[0] === '+'
         }).map(function(lock) {
@@ -983,18 +1189,20 @@
     return map
   }
 
+  function relicLocationsFromOptions(options) {
+    if (typeof(options.relicLocations) === 'object') {
+      return options.relicLocations
+    }
+    return util.presetFromName('safe').options().relicLocations
+  }
+
   function randomizeRelics(rng, options, removed) {
     if (!options.relicLocations) {
       return {}
     }
     removed = removed || []
     // Initialize location locks.
-    let relicLocations
-    if (typeof(options.relicLocations) === 'object') {
-      relicLocations = options.relicLocations
-    } else {
-      relicLocations = util.presetFromName('safe').options().relicLocations
-    }
+    const relicLocations = relicLocationsFromOptions(options)
     const locksMap = locksFromLocations(relicLocations)
     const escapesMap = escapesFromLocations(relicLocations)
     // Get the goal and complexity target.
@@ -1060,6 +1268,15 @@
       }
       location.escapes = location.escapes || []
     })
+    // Mark junk locations, which are given by location or by zone.
+    const junk = relicLocations.junk || []
+    locations.forEach(function(location) {
+      location.junk = junk.some(function(name) {
+        return name === location.id
+          || (name in constants.ZONE
+              && constants.ZONE[name] === locationZone(location))
+      })
+    })
     // Attempt to place all relics.
     const result = randomize(
       rng,
@@ -1077,21 +1294,246 @@
     })
     const info = util.newInfo()
     info[3]['Relic locations'] = spoilers
+    let solutionTree
     if (result.solutions) {
       info[4]['Solutions'] = util.renderSolutions(result.solutions)
       info[4]['Complexity'] = result.depth
+      // Solutions contain sets, so they are flattened before serialization.
+      solutionTree = util.solutionTree(result.solutions)
     }
+    info[4]['Spheres'] = result.spheres.length
+    info[4]['Playthrough'] = util.renderSpheres(result.spheres)
     return {
       mapping: result.mapping,
       solutions: result.solutions,
+      solutionTree: solutionTree,
+      depth: result.depth,
+      spheres: result.spheres,
       locations: locations,
       relics: enabledRelics,
       info: info,
     }
   }
 
+  function relicName(ability) {
+    const relic = util.relicFromAbility(ability)
+    return relic ? relic.name : ability
+  }
+
+  // Explains why a location is in or out of logic for a seed. The relics are
+  // the location id of each relic, keyed by ability, as they appear in the
+  // spoiler data. Returns the lines of the explanation.
+  function explain(options, relics, name) {
+    const relicLocations = relicLocationsFromOptions(options)
+    const locksMap = locksFromLocations(relicLocations)
+    const escapesMap = escapesFromLocations(relicLocations)
+    const locations = getLocations()
+    const location = locations.filter(function(location) {
+      return location.id === name
+        || location.name.toLowerCase() === name.toLowerCase()
+    })[0]
+    if (!location) {
+      throw new errors.UnknownLocationError(name)
+    }
+    const lines = ['Location: ' + location.name]
+    // Find the relic at each location.
+    const abilities = {}
+    Object.getOwnPropertyNames(relics).forEach(function(ability) {
+      abilities[relics[ability]] = ability
+    })
+    if (location.id in abilities) {
+      lines.push('Relic: ' + relicName(abilities[location.id]))
+    } else {
+      lines.push('Relic: None')
+    }
+    // Build the lock graph from the relic mapping.
+    const mapping = {}
+    Object.getOwnPropertyNames(relics).forEach(function(ability) {
+      mapping[ability] = {
+        locks: (locksMap[relics[ability]] || []).map(function(lock) {
+          return new Set(lock)
+        }),
+      }
+    })
+    const graphed = graph(mapping)
+    function describe(ability) {
+      if (!(ability in relics)) {
+        return relicName(ability) + ' is not randomized'
+      }
+      const at = locations.filter(function(location) {
+        return location.id === relics[ability]
+      })[0]
+      let text = relicName(ability) + ' at ' + at.name
+      if (!graphed.some(function(node) {
+        return node.item === ability
+      })) {
+        text += ' (out of logic)'
+      }
+      return text
+    }
+    const locks = (locksMap[location.id] || []).filter(function(lock) {
+      return lock.length
+    })
+    if (!locks.length) {
+      lines.push('Locks: None')
+    }
+    let inLogic = !locks.length
+    locks.forEach(function(lock, index) {
+      lines.push('Lock ' + (index + 1) + ': ' + Array.from(lock).map(
+        relicName
+      ).join(', '))
+      Array.from(lock).forEach(function(ability) {
+        lines.push('  ' + describe(ability))
+      })
+      const solution = solve(graphed, [new Set(lock)])[0]
+      const randomized = Array.from(lock).filter(function(ability) {
+        return ability in relics
+      })
+      if (solution.size === randomized.length) {
+        inLogic = true
+        if (solution.size) {
+          // Show the shortest chain of relics back to the start for each
+          // relic of the lock.
+          lines.push('  Chain:')
+          Array.from(solution).forEach(function(node) {
+            const chain = collectAbilities(node).reduce(function(min, chain) {
+              return min && min.size <= chain.size ? min : chain
+            })
+            lines.push('    ' + Array.from(chain).map(relicName).join(' < '))
+          })
+        }
+      }
+    })
+    const escapes = escapesMap[location.id] || []
+    // Each escape is a set of relics that are all required, and any one of
+    // the escapes is enough.
+    escapes.forEach(function(escape, index) {
+      lines.push('Escape ' + (index + 1) + ': ' + Array.from(escape).map(
+        relicName
+      ).join(' + '))
+      Array.from(escape).forEach(function(ability) {
+        lines.push('  ' + describe(ability))
+      })
+    })
+    lines.push('In logic: ' + (inLogic ? 'Yes' : 'No'))
+    return lines
+  }
+
+  // Returns the zone of a relic location.
+  function locationZone(location) {
+    if (location.entity) {
+      return location.entity.zones[0]
+    } else if (location.tile) {
+      return location.tile.zones[0]
+    } else if (location.ids) {
+      return location.ids[0].zone
+    } else if (location.reward) {
+      return location.reward.zone
+    }
+  }
+
+  // Relic names ending in "s" are plural.
+  function hintVerb(name) {
+    return /s$/.test(name) ? ' are ' : ' is '
+  }
+
+  // Generates hints about the relic placement of a seed. A relic is only
+  // hinted as required if the goal can't be completed without it. If there is
+  // no goal, a relic is required if any other relic can't be collected
+  // without it.
+  function generateHints(rng, options, result) {
+    let counts = options.hints
+    if (typeof(counts) !== 'object') {
+      counts = constants.defaultHints
+    }
+    const locksMap = locksFromLocations(relicLocationsFromOptions(options))
+    let goal
+    Object.getOwnPropertyNames(locksMap).forEach(function(name) {
+      if ((/^[0-9]+(-[0-9]+)?$/).test(name)) {
+        goal = locksMap[name].map(function(lock) {
+          return new Set(lock)
+        })
+      }
+    })
+    const locations = getLocations()
+    locations.forEach(function(location) {
+      location.locks = (locksMap[location.id] || []).filter(function(lock) {
+        return lock.length
+      }).map(function(lock) {
+        return new Set(lock)
+      })
+      if (!location.locks.length) {
+        location.locks = [new Set()]
+      }
+    })
+    const abilities = result.relics.map(function(relic) {
+      return relic.ability
+    })
+    const randomized = new Set(abilities)
+    const placement = {}
+    abilities.forEach(function(ability) {
+      placement[result.mapping[ability].id] = ability
+    })
+    const required = abilities.filter(function(ability) {
+      const excluded = new Set([ability])
+      const owned = reachable([], locations, placement, randomized, excluded)
+      if (goal) {
+        return !goal.some(unlocks(owned, randomized, excluded))
+      }
+      return owned.size < randomized.size - 1
+    })
+    const pools = {}
+    pools[constants.HINT.LOCATION] = abilities
+    pools[constants.HINT.REQUIRED] = required
+    pools[constants.HINT.UNREQUIRED] = abilities.filter(function(ability) {
+      return required.indexOf(ability) === -1
+    })
+    // Each relic is hinted at most once.
+    const hinted = new Set()
+    const hints = []
+    Object.getOwnPropertyNames(constants.HINT).forEach(function(key) {
+      const type = constants.HINT[key]
+      for (let i = 0; i < (counts[type] || 0); i++) {
+        const pool = pools[type].filter(function(ability) {
+          return !hinted.has(ability)
+        })
+        if (!pool.length) {
+          break
+        }
+        const ability = pool[randIdx(rng, pool)]
+        hinted.add(ability)
+        const name = util.relicFromAbility(ability).name
+        let zone
+        let text
+        switch (type) {
+        case constants.HINT.LOCATION:
+          zone = locationZone(result.mapping[ability])
+          text = name + hintVerb(name) + 'in ' + constants.zoneLongNames[zone]
+          break
+        case constants.HINT.REQUIRED:
+          text = name + hintVerb(name) + 'required'
+          break
+        case constants.HINT.UNREQUIRED:
+          text = name + hintVerb(name) + 'not required'
+          break
+        }
+        const hint = {
+          type: type,
+          ability: ability,
+          text: text,
+        }
+        if (zone !== undefined) {
+          hint.zone = constants.zoneNames[zone]
+        }
+        hints.push(hint)
+      }
+    })
+    return hints
+  }
+
   function writeRelics(rng, options, result) {
     const data = new util.checked()
+    let hints
     if (options.relicLocations) {
       // Write data to ROM.
       writeMapping(data, rng, result.mapping)
@@ -1105,16 +1547,30 @@
         patchRelicsMenu(data)
         patchPixieSong(data)
       }
+      // Generate hints.
+      if (options.hints) {
+        hints = generateHints(rng, options, result)
+      }
+    }
+    const info = util.newInfo()
+    if (hints) {
+      info[1]['Hints'] = hints.map(function(hint) {
+        return hint.text
+      })
     }
     return {
       data: data,
       items: items(),
+      hints: hints,
+      info: info,
     }
   }
 
   const exports = {
     randomizeRelics: randomizeRelics,
     writeRelics: writeRelics,
+    getLocations: getLocations,
+    explain: explain,
   }
   if (self) {
     self.sotnRando = Object.assign(self.sotnRando || {}, {
@@ -1,17 +1,19 @@
 importScripts(
   '/constants.js',
+  '/enemies.js',
   '/errors.js',
   '/extension.js',
   '/items.js',
   '/relics.js',
   '/util.js',
-  '/build/presets/casual.js',
-  '/build/presets/safe.js',
+  '/validate.js',
+  '/presets.js',
   '/randomize_relics.js',
 )
 
 const util = self.sotnRando.util
 const randomizeRelics = self.sotnRando.randomizeRelics.randomizeRelics
+const loading = self.sotnRando.loadPresets('/')
 
 function rng() {
   return Math.random()
@@ -19,21 +21,23 @@ function rng() {
 
 self.addEventListener('message', function(message) {
   const data = message.data
-  const options = util.Preset.options(util.optionsFromString(data.options))
-  while (true) {
-    try {
-      // Get random relic placement.
-      const result = randomizeRelics(rng, options)
-      // Clean up the relics so they can be serialized.
-      util.sanitizeResult(result)
-      result.id = message.data.id
-      self.postMessage(result)
-      break
-    } catch (err) {
-      if (!self.sotnRando.errors.isError(err)) {
-        self.postMessage({error: err})
+  loading.then(function() {
+    const options = util.Preset.options(util.optionsFromString(data.options))
+    while (true) {
+      try {
+        // Get random relic placement.
+        const result = randomizeRelics(rng, options)
+        // Clean up the relics so they can be serialized.
+        util.sanitizeResult(result)
+        result.id = message.data.id
+        self.postMessage(result)
+        break
+      } catch (err) {
+        if (!self.sotnRando.errors.isError(err)) {
+          self.postMessage({error: err})
+        }
+        continue
       }
-      continue
     }
-  }
+  })
 })
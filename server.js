@@ -0,0 +1,229 @@
+const fs = require('fs')
+const http = require('http')
+const path = require('path')
+const constants = require('./constants')
+const errors = require('./errors')
+const generate = require('./generate')
+const presets = require('./presets')
+const util = require('./util')
+
+const root = __dirname
+
+// Request bodies larger than this are rejected.
+const maxBodySize = 0x10000
+
+const contentTypes = {
+  '.css': 'text/css',
+  '.html': 'text/html',
+  '.ico': 'image/x-icon',
+  '.js': 'text/javascript',
+  '.json': 'application/json',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.webmanifest': 'application/manifest+json',
+}
+
+function HttpError(status, message) {
+  this.name = 'HttpError'
+  this.status = status
+  this.message = message
+  this.stack = new Error(this.message).stack
+}
+
+const _HttpError = function() {}
+_HttpError.prototype = Error.prototype
+HttpError.prototype = new _HttpError()
+
+function sendJson(res, status, body) {
+  res.writeHead(status, {'Content-Type': 'application/json'})
+  res.end(JSON.stringify(body))
+}
+
+function readBody(req) {
+  return new Promise(function(resolve, reject) {
+    const chunks = []
+    let size = 0
+    req.on('data', function(chunk) {
+      size += chunk.length
+      if (size > maxBodySize) {
+        reject(new HttpError(413, 'Request body is too large'))
+        req.destroy()
+        return
+      }
+      chunks.push(chunk)
+    })
+    req.on('end', function() {
+      resolve(Buffer.concat(chunks).toString())
+    })
+    req.on('error', reject)
+  })
+}
+
+// Seed urls point at this server unless another base url is configured.
+function localBaseUrl(req) {
+  return 'http://' + (req.headers.host || 'localhost') + '/'
+}
+
+function serveFile(req, res) {
+  let pathname
+  try {
+    pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname)
+  } catch (err) {
+    throw new HttpError(400, 'Invalid path')
+  }
+  let file = path.join(root, pathname)
+  const relative = path.relative(root, file)
+  // Only serve files inside the web app that are not hidden or installed.
+  if (relative.split(path.sep).some(function(segment) {
+    return segment === '..' || segment[0] === '.' || segment === 'node_modules'
+  })) {
+    throw new HttpError(404, 'Not found')
+  }
+  if (fs.existsSync(file) && fs.statSync(file).isDirectory()) {
+    // Relative links in index pages require a trailing slash.
+    if (pathname[pathname.length - 1] !== '/') {
+      res.writeHead(301, {'Location': pathname + '/'})
+      res.end()
+      return
+    }
+    file = path.join(file, 'index.html')
+  }
+  const type = contentTypes[path.extname(file)]
+  if (!type || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+    throw new HttpError(404, 'Not found')
+  }
+  res.writeHead(200, {'Content-Type': type})
+  fs.createReadStream(file).pipe(res)
+}
+
+function listPresets(ctx, req, res) {
+  sendJson(res, 200, presets.map(function(preset) {
+    return {
+      id: preset.id,
+      name: preset.name,
+      description: preset.description,
+      author: preset.author,
+    }
+  }))
+}
+
+// The web app loads the presets listed in this manifest. It is served from
+// the registry so that new preset files appear without rebuilding it.
+function presetManifest(ctx, req, res) {
+  sendJson(res, 200, presets.map(function(preset) {
+    return preset.id
+  }))
+}
+
+async function createSeed(ctx, req, res) {
+  let body
+  try {
+    body = JSON.parse(await readBody(req) || '{}')
+  } catch (err) {
+    if (err instanceof HttpError) {
+      throw err
+    }
+    throw new HttpError(400, 'Request body is not valid JSON')
+  }
+  let options
+  try {
+    options = util.optionsFromString(body.options || constants.defaultOptions)
+    util.Preset.options(options)
+  } catch (err) {
+    throw new HttpError(400, err.message)
+  }
+  let seed = (new Date()).getTime().toString()
+  if (body.seed !== undefined && body.seed !== null && body.seed !== '') {
+    seed = body.seed.toString()
+  }
+  const result = await generate({
+    seed: seed,
+    options: options,
+    version: ctx.version,
+    baseUrl: ctx.baseUrl || localBaseUrl(req),
+    workers: ctx.workers,
+  })
+  let bps = null
+  if (ctx.vanilla) {
+    // The worker takes ownership of the file, so it receives a copy.
+    const file = new Uint8Array(ctx.vanilla).buffer
+    // The seed text is written again, so the first hint has to be given as
+    // well or the patch would not match the seed.
+    const finalized = await util.finalizeData(
+      seed,
+      util.seedMenuPreset(options.preset, result.spoiler.hints),
+      file,
+      result.check,
+      undefined,
+      {
+        version: ctx.version,
+        seed: seed,
+        options: util.optionsToString(options),
+      },
+      ctx.workers[0],
+    )
+    bps = Buffer.from(finalized.patch).toString('base64')
+  }
+  sendJson(res, 200, {
+    seed: seed,
+    checksum: result.checksum.toString(16),
+    url: result.url,
+    spoiler: result.spoiler,
+    patch: bps,
+  })
+}
+
+const routes = {
+  'GET /api/presets': listPresets,
+  'GET /build/presets.json': presetManifest,
+  'POST /api/seeds': createSeed,
+}
+
+// Creates an HTTP server that hosts the web app and the seed API.
+//
+// Accepts:
+//   workers: Worker threads created by generate.createWorkers().
+//   vanilla: A vanilla bin to create patches from. Patches are omitted from
+//            seed responses if it is not given.
+//   version: The randomizer version to generate seeds for.
+//   baseUrl: The base of seed urls. Defaults to the url of the server.
+function createServer(params) {
+  const ctx = {
+    workers: params.workers,
+    vanilla: params.vanilla,
+    version: params.version || require('./package').version,
+    baseUrl: params.baseUrl,
+    // Seeds are generated one at a time, as they share the worker threads.
+    queue: Promise.resolve(),
+  }
+  return http.createServer(function(req, res) {
+    const route = req.method + ' ' + req.url.split('?')[0]
+    let handled
+    if (route in routes) {
+      handled = ctx.queue.then(function() {
+        return routes[route](ctx, req, res)
+      })
+      ctx.queue = handled.catch(function() {})
+    } else if (req.url.indexOf('/api/') === 0) {
+      handled = Promise.reject(new HttpError(404, 'Not found'))
+    } else if (req.method === 'GET' || req.method === 'HEAD') {
+      handled = new Promise(function(resolve) {
+        resolve(serveFile(req, res))
+      })
+    } else {
+      handled = Promise.reject(new HttpError(405, 'Method not allowed'))
+    }
+    handled.catch(function(err) {
+      if (err instanceof HttpError) {
+        sendJson(res, err.status, {error: err.message})
+      } else if (errors.isError(err)) {
+        sendJson(res, 500, {error: err.message})
+      } else {
+        console.error(err.stack)
+        sendJson(res, 500, {error: 'Internal server error'})
+      }
+    })
+  })
+}
+
+module.exports = createServer
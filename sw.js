@@ -0,0 +1,82 @@
+// This service worker caches the web app so that it can be used offline.
+
+const cacheName = 'sotn-randomizer'
+
+// Assets cached when the service worker is installed. Assets from other
+// origins and the preset files listed in the manifest are cached the first
+// time they are loaded.
+const assets = [
+  './',
+  'index.html',
+  'index.css',
+  'icon.svg',
+  'manifest.webmanifest',
+  'package.json',
+  'vendor/pure-min.css',
+  'vendor/grids-responsive-min.css',
+  'vendor/seedrandom.min.js',
+  'vendor/sjcl.min.js',
+  'constants.js',
+  'enemies.js',
+  'errors.js',
+  'extension.js',
+  'items.js',
+  'relics.js',
+  'util.js',
+  'patch.js',
+  'validate.js',
+  'presets.js',
+  'build/presets.json',
+  'randomize_relics.js',
+  'randomize_items.js',
+  'randomize_music.js',
+  'ecc-edc-recalc-js.js',
+  'worker.js',
+  'browser.js',
+  'faq/',
+  'faq/index.css',
+  'relics/',
+  'relics/index.css',
+  'relics/index.js',
+  'relics/worker.js',
+]
+
+self.addEventListener('install', function(event) {
+  event.waitUntil(caches.open(cacheName).then(function(cache) {
+    return cache.addAll(assets)
+  }).then(function() {
+    return self.skipWaiting()
+  }))
+})
+
+self.addEventListener('activate', function(event) {
+  event.waitUntil(self.clients.claim())
+})
+
+// The network is preferred so that seeds are always generated by the latest
+// release of the randomizer. The cache is only used when offline.
+self.addEventListener('fetch', function(event) {
+  const request = event.request
+  if (request.method !== 'GET' || !request.url.match(/^https?:/)) {
+    return
+  }
+  event.respondWith(fetch(request).then(function(response) {
+    if (response.ok || response.type === 'opaque') {
+      const copy = response.clone()
+      caches.open(cacheName).then(function(cache) {
+        cache.put(request, copy)
+      })
+    }
+    return response
+  }).catch(function(err) {
+    // Seed urls are pages with a query string.
+    return caches.match(request, {
+      ignoreSearch: request.mode === 'navigate',
+    }).then(function(response) {
+      if (!response) {
+        throw err
+      }
+      return response
+    })
+  }))
+})
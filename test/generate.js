@@ -0,0 +1,68 @@
+const assert = require('assert')
+const test = require('node:test')
+const generate = require('../generate')
+const util = require('../util')
+
+const customPreset = util.PresetBuilder.fromJSON({
+  metadata: {
+    id: 'mine',
+    name: 'My Preset',
+    description: 'A custom preset.',
+    author: 'Test',
+  },
+  inherits: 'casual',
+  music: false,
+}).build()
+
+// Returns the text written to a range of the bin.
+function writtenText(check, start, length) {
+  let text = ''
+  for (let i = start; i < start + length && check.writes[i]; i++) {
+    text += String.fromCharCode(check.writes[i])
+  }
+  return text
+}
+
+test('custom presets are named in the game and the url', async function() {
+  const workers = generate.createWorkers(1)
+  try {
+    const result = await generate({
+      seed: 'test',
+      options: customPreset,
+      version: '1.0.0',
+      workers: workers,
+    })
+    assert.strictEqual(writtenText(result.check, 0x04389c8c, 20), 'mine')
+    const url = util.optionsFromUrl(result.url)
+    assert.strictEqual(url.preset.id, 'mine')
+    assert.strictEqual(url.checksum, result.checksum)
+  } finally {
+    workers.forEach(function(worker) {
+      worker.terminate()
+    })
+  }
+})
+
+test('the first hint is written to the seed menu', async function() {
+  const workers = generate.createWorkers(1)
+  try {
+    const result = await generate({
+      seed: 'test',
+      options: 'rh:l:1',
+      version: '1.0.0',
+      workers: workers,
+    })
+    const hint = result.spoiler.hints[0]
+    const name = util.relicFromAbility(hint.ability).name
+    const expected = new util.checked()
+    util.setSeedText(expected, 'test', name + ' ' + hint.zone)
+    for (let i = 0x04389c8c; i < 0x04389c8c + 20; i++) {
+      assert.strictEqual(result.check.writes[i], expected.writes[i])
+    }
+    assert.ok(writtenText(result.check, 0x04389c8c, 20).startsWith(name))
+  } finally {
+    workers.forEach(function(worker) {
+      worker.terminate()
+    })
+  }
+})
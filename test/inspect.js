@@ -0,0 +1,49 @@
+const assert = require('assert')
+const test = require('node:test')
+const constants = require('../constants')
+const generate = require('../generate')
+const inspect = require('../inspect')
+const util = require('../util')
+
+test('inspect reads back the spoilers of a generated seed', async function() {
+  const workers = generate.createWorkers(1)
+  let result
+  try {
+    result = await generate({
+      seed: 'test',
+      options: 'p:safe',
+      version: '1.0.0',
+      workers: workers,
+    })
+  } finally {
+    workers.forEach(function(worker) {
+      worker.terminate()
+    })
+  }
+  // An empty image with only the writes of the seed. Anything that the seed
+  // leaves at its vanilla value can't be read back from it.
+  const image = Buffer.alloc(0x6a00000)
+  new util.checked(image).apply(result.check)
+  const info = inspect(image)
+  assert.strictEqual(info[1]['Seed'], result.info[1]['Seed'])
+  assert.strictEqual(info[1]['Preset'], 'safe')
+  // Empty accessory and helmet slots are checked against vanilla data.
+  const equipment = result.info[2]['Starting equipment']
+  ;[0, 1, 3].forEach(function(slot) {
+    assert.strictEqual(info[2]['Starting equipment'][slot], equipment[slot])
+  })
+  // Relics at their vanilla locations are not written.
+  const relics = result.info[3]['Relic locations']
+  assert.ok(info[3]['Relic locations'].length)
+  info[3]['Relic locations'].forEach(function(relic) {
+    assert.ok(relics.indexOf(relic) !== -1, relic)
+  })
+  // The global drops are not randomized by the preset.
+  const drops = info[5]['Enemy drops'].filter(function(drop) {
+    return drop.indexOf(constants.GLOBAL_DROP + ':') !== 0
+  })
+  assert.deepStrictEqual(
+    Object.assign({}, info[5], {'Enemy drops': drops}),
+    result.info[5],
+  )
+})
@@ -0,0 +1,132 @@
+const assert = require('assert')
+const childProcess = require('child_process')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const test = require('node:test')
+const errors = require('../errors')
+const patch = require('../patch')
+const util = require('../util')
+
+const sectorSize = 2352
+
+// Returns an image of sectors filled with a repeating pattern.
+function image(sectors) {
+  const data = new Uint8Array(sectorSize * sectors)
+  for (let i = 0; i < data.length; i++) {
+    data[i] = (i * 7) & 0xff
+  }
+  return data
+}
+
+// Returns the image with the writes applied, and its patch.
+function patched(source, writes) {
+  const data = new Uint8Array(source)
+  const snapshot = patch.snapshot(data, writes)
+  Object.getOwnPropertyNames(writes).forEach(function(address) {
+    data[address] = writes[address]
+  })
+  return {
+    data: data,
+    bps: patch.createPatch(snapshot, data, {seed: 'test'}),
+  }
+}
+
+function pushWord(bytes, val) {
+  bytes.push(val & 0xff, (val >>> 8) & 0xff, (val >>> 16) & 0xff, val >>> 24)
+}
+
+// Returns a patch of the given actions with a valid footer.
+function rawPatch(source, target, actions) {
+  const bytes = Array.from('BPS1', function(c) {
+    return c.charCodeAt(0)
+  })
+  // Sizes below 0x80 are written as a single byte.
+  bytes.push(0x80 | source.length, 0x80 | target.length, 0x80)
+  Array.prototype.push.apply(bytes, actions)
+  pushWord(bytes, util.crc32(source))
+  pushWord(bytes, util.crc32(target))
+  pushWord(bytes, util.crc32(new Uint8Array(bytes)))
+  return new Uint8Array(bytes)
+}
+
+test('patches recreate writes across several sectors', function() {
+  const source = image(4)
+  const writes = {}
+  // A write in the first sector, one across the boundary of the second and
+  // third sectors, and one at the very end of the image.
+  writes[16] = 0x01
+  for (let i = 2 * sectorSize - 3; i < 2 * sectorSize + 3; i++) {
+    writes[i] = 0x02
+  }
+  writes[4 * sectorSize - 1] = 0x03
+  const expected = patched(source, writes)
+  const result = patch.applyPatch(new Uint8Array(source), expected.bps)
+  assert.deepStrictEqual(result.data, expected.data)
+  assert.deepStrictEqual(result.sectors, [0, 1, 2, 3])
+  assert.strictEqual(result.crc, util.crc32(expected.data))
+  assert.deepStrictEqual(result.metadata, {seed: 'test'})
+  assert.deepStrictEqual(patch.readMetadata(expected.bps), {seed: 'test'})
+})
+
+test('patches only apply to the image they were created from', function() {
+  const source = image(2)
+  const bps = patched(source, {100: 0}).bps
+  const modified = new Uint8Array(source)
+  modified[sectorSize + 1] ^= 0xff
+  assert.throws(function() {
+    patch.applyPatch(modified, bps)
+  }, errors.UnknownImageError)
+  assert.throws(function() {
+    patch.applyPatch(source.subarray(0, sectorSize), bps)
+  }, errors.UnknownImageError)
+})
+
+test('truncated and corrupt patches are rejected', function() {
+  const source = image(2)
+  const bps = patched(source, {100: 0}).bps
+  assert.throws(function() {
+    patch.applyPatch(source, bps.subarray(0, bps.length - 1))
+  }, {message: 'Patch file is corrupt'})
+  const corrupt = new Uint8Array(bps)
+  corrupt[corrupt.length >> 1] ^= 0xff
+  assert.throws(function() {
+    patch.applyPatch(source, corrupt)
+  }, {message: 'Patch file is corrupt'})
+  assert.throws(function() {
+    patch.applyPatch(source, bps.subarray(1))
+  }, {message: 'Not a BPS patch file'})
+  // A target read past the end of the target.
+  const small = new Uint8Array([1, 2, 3, 4])
+  const overrun = rawPatch(small, small, [0x80 | (7 * 4 + 1)])
+  assert.throws(function() {
+    patch.applyPatch(small, overrun)
+  }, {message: 'Patch file is corrupt'})
+})
+
+test('patches from other versions are not applied', function() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'patch-'))
+  try {
+    const source = image(1)
+    const bps = patch.createPatch(patch.snapshot(source, {}), source, {
+      version: '0.0.0',
+    })
+    fs.writeFileSync(path.join(dir, 'seed.bps'), bps)
+    fs.writeFileSync(path.join(dir, 'vanilla.bin'), source)
+    const result = childProcess.spawnSync(process.execPath, [
+      path.join(__dirname, '..', 'randomize'),
+      'apply',
+      '--patch', path.join(dir, 'seed.bps'),
+      '-i', path.join(dir, 'vanilla.bin'),
+      '-o', path.join(dir, 'rando.bin'),
+    ], {encoding: 'utf8'})
+    assert.strictEqual(result.status, 1)
+    assert.strictEqual(
+      result.stderr.trim(),
+      'Error: ' + new errors.VersionError().message,
+    )
+    assert.ok(!fs.existsSync(path.join(dir, 'rando.bin')))
+  } finally {
+    fs.rmSync(dir, {recursive: true})
+  }
+})
@@ -0,0 +1,50 @@
+const assert = require('assert')
+const fs = require('fs')
+const path = require('path')
+const test = require('node:test')
+const presets = require('../presets')
+const util = require('../util')
+const validate = require('../validate')
+
+test('the published preset manifest lists every preset', function() {
+  const file = path.join(__dirname, '..', 'build', 'presets.json')
+  assert.deepStrictEqual(
+    JSON.parse(fs.readFileSync(file)),
+    presets.map(function(preset) {
+      return preset.id
+    }),
+    'Run `npm run build-presets` to update build/presets.json',
+  )
+})
+
+test('exported presets load back to the same options', function() {
+  const strs = presets.map(function(preset) {
+    return 'p:' + preset.id
+  }).concat([[
+    'p:safe',
+    'd:Zombie:Cutlass-Bandana:Merman-2:Apple:Global:Apple-Orange',
+    'e:l:Marsil:r:FireShield:c:',
+    'i:ARE:BloodCloak:Banana:TOP:Turkey-2:Peanuts',
+    'b:h:MannaPrism',
+    'r:B:L:y:LV-MP:x:guarded:3-5:SG:@M:o:!ARE',
+    'h:l:3:u:2',
+    't',
+  ].join(',')])
+  strs.forEach(function(str) {
+    const builder = util.PresetBuilder.fromOptions({
+      id: 'exported',
+      name: 'Exported',
+      description: 'Exported from ' + str,
+      author: 'Test',
+    }, util.optionsFromString(str))
+    const json = builder.toJSON()
+    assert.deepStrictEqual(validate.validate(json), [], str)
+    const loaded = util.PresetBuilder.fromJSON(json)
+    assert.deepStrictEqual(loaded.toJSON(), json, str)
+    assert.deepStrictEqual(
+      loaded.build().options(),
+      builder.build().options(),
+      str,
+    )
+  })
+})
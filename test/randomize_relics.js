@@ -0,0 +1,52 @@
+const assert = require('assert')
+const seedrandom = require('seedrandom')
+const test = require('node:test')
+const randomizeRelics = require('../randomize_relics')
+const util = require('../util')
+
+// Returns the options of a preset with its complexity target replaced.
+function withTarget(preset, target) {
+  const options = util.Preset.options(util.optionsFromString('p:' + preset))
+  const relicLocations = Object.assign({}, options.relicLocations)
+  Object.getOwnPropertyNames(relicLocations).forEach(function(name) {
+    if ((/^[0-9]+(-[0-9]+)?$/).test(name)) {
+      relicLocations[target] = relicLocations[name]
+      delete relicLocations[name]
+    }
+  })
+  options.relicLocations = relicLocations
+  return options
+}
+
+test('bounded complexity targets are spread across the range', function() {
+  const options = withTarget('safe', '4-7')
+  const depths = new Set()
+  for (let i = 0; i < 40; i++) {
+    const result = randomizeRelics.randomizeRelics(
+      new seedrandom('target' + i),
+      options,
+      [],
+    )
+    assert(result.depth >= 4 && result.depth <= 7)
+    depths.add(result.depth)
+  }
+  assert(depths.size >= 3)
+})
+
+test('explain lists each escape as a set of required relics', function() {
+  const options = util.Preset.options(util.optionsFromString('r'))
+  const result = randomizeRelics.randomizeRelics(
+    new seedrandom('explain'),
+    options,
+    [],
+  )
+  const relics = {}
+  Object.getOwnPropertyNames(result.mapping).forEach(function(ability) {
+    if (ability[0] !== '(') {
+      relics[ability] = result.mapping[ability].id
+    }
+  })
+  const lines = randomizeRelics.explain(options, relics, 'Mormegil')
+  assert(lines.indexOf('Escape 1: Soul of Bat') !== -1)
+  assert(lines.indexOf('Escape 4: Form of Mist + Power of Mist') !== -1)
+})
@@ -0,0 +1,94 @@
+const assert = require('assert')
+const EventEmitter = require('events')
+const test = require('node:test')
+const constants = require('../constants')
+const generate = require('../generate')
+const patch = require('../patch')
+const createServer = require('../server')
+
+// A worker that fails every relic placement with an unexpected error.
+function failingWorker() {
+  const worker = new EventEmitter()
+  worker.postMessage = function(message) {
+    if (typeof(message) === 'string') {
+      message = JSON.parse(message)
+    }
+    if (message.action === constants.WORKER_ACTION.RELICS
+        && !message.cancel) {
+      setImmediate(function() {
+        worker.emit('message', JSON.stringify({
+          action: constants.WORKER_ACTION.RELICS,
+          error: {
+            name: 'TypeError',
+            message: 'Generation failed',
+            stack: '',
+          },
+        }))
+      })
+    }
+  }
+  return worker
+}
+
+function listen(server) {
+  return new Promise(function(resolve) {
+    server.listen(0, function() {
+      resolve('http://localhost:' + server.address().port)
+    })
+  })
+}
+
+test('failed generation responds with an error', async function() {
+  const server = createServer({
+    workers: [failingWorker(), failingWorker()],
+    version: '1.0.0',
+  })
+  const origin = await listen(server)
+  try {
+    const post = function() {
+      return fetch(origin + '/api/seeds', {
+        method: 'POST',
+        body: JSON.stringify({options: 'p:safe', seed: 'test'}),
+      })
+    }
+    let res = await post()
+    assert.strictEqual(res.status, 500)
+    assert.deepStrictEqual(await res.json(), {error: 'Internal server error'})
+    // The server keeps handling requests.
+    res = await post()
+    assert.strictEqual(res.status, 500)
+  } finally {
+    server.close()
+  }
+})
+
+test('patches match the seeds they are created for', async function() {
+  const workers = generate.createWorkers(2)
+  // An image of empty sectors that is large enough for every write.
+  const vanilla = Buffer.alloc(2352 * 48000)
+  for (let i = 0; i < vanilla.length; i += 2352) {
+    // Mode 0 sectors only have a sync header.
+    vanilla.fill(0xff, i + 1, i + 11)
+  }
+  const server = createServer({
+    workers: workers,
+    vanilla: vanilla,
+    version: '1.0.0',
+  })
+  const origin = await listen(server)
+  try {
+    const res = await fetch(origin + '/api/seeds', {
+      method: 'POST',
+      body: JSON.stringify({options: 'rh:l:1', seed: 'test'}),
+    })
+    assert.strictEqual(res.status, 200)
+    const body = await res.json()
+    const metadata = patch.readMetadata(Buffer.from(body.patch, 'base64'))
+    assert.strictEqual(metadata.checksum.toString(16), body.checksum)
+  } finally {
+    server.close()
+    await Promise.all(workers.map(function(worker) {
+      return worker.terminate()
+    }))
+  }
+})
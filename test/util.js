@@ -0,0 +1,219 @@
+const assert = require('assert')
+const constants = require('../constants')
+const test = require('node:test')
+const util = require('../util')
+
+test('seed urls for other hosts carry the options', function() {
+  const url = util.optionsToUrl(
+    '1.0.0',
+    util.optionsFromString('p:casual'),
+    0x1234,
+    'seed',
+    'http://localhost:8080/',
+  )
+  assert.strictEqual(url, 'http://localhost:8080/?p:casual,1234,seed')
+  const result = util.optionsFromUrl(url)
+  assert.strictEqual(util.optionsToString(result.options), 'p:casual')
+  assert.strictEqual(result.checksum, 0x1234)
+  assert.strictEqual(result.seed, 'seed')
+})
+
+test('options in seed urls replace the preset of the base url', function() {
+  const options = util.optionsFromString('eibr:B:MVL+W-MP')
+  const forms = {
+    readable: util.optionsToString(options),
+    compact: util.encodeOptions(options),
+  }
+  Object.getOwnPropertyNames(forms).forEach(function(form) {
+    const url = 'https://sotn.io/?' + forms[form] + ',1234,seed'
+    const result = util.optionsFromUrl(url)
+    assert.strictEqual(
+      util.optionsToString(result.options),
+      forms.readable,
+      form,
+    )
+  })
+  // Urls without options use the preset of the base url.
+  const result = util.optionsFromUrl('https://c.sotn.io/?1234,seed')
+  assert.strictEqual(util.optionsToString(result.options), 'p:casual')
+})
+
+test('seed urls only use compact options when asked to', function() {
+  const options = util.optionsFromString('d:Warg:400-CombatKnife')
+  assert.strictEqual(
+    util.optionsToUrl('1.0.0', options, 1, 'seed'),
+    'https://sotn.io/?d:Warg:400-CombatKnife,1,seed',
+  )
+  assert.strictEqual(
+    util.optionsToUrl('1.0.0', options, 1, 'seed', undefined, true),
+    'https://sotn.io/?' + util.encodeOptions(options) + ',1,seed',
+  )
+})
+
+test('malformed compact options are rejected', function() {
+  const valid = util.encodeOptions(util.optionsFromString('p:safe,r:B:MVL'))
+  const malformed = {
+    'empty': '.',
+    'bad length': '.A',
+    'bad character': '.AQ!',
+    'unknown version': '.Ag',
+    'no fields': '.AQA',
+    'truncated': valid.slice(0, valid.length - 3),
+    'unknown field': '.AfA',
+    'unknown preset': util.encodeOptions({preset: 'unknown'}),
+  }
+  Object.getOwnPropertyNames(malformed).forEach(function(name) {
+    assert.throws(function() {
+      util.optionsFromString(malformed[name])
+    }, function(err) {
+      return err.constructor === Error
+    }, name)
+  })
+})
+
+test('nested options after a preset are merged into it', function() {
+  const safe = util.Preset.options(util.optionsFromString('p:safe'))
+  const options = util.Preset.options(util.optionsFromString('p:safe,r:!ARE'))
+  assert.deepStrictEqual(options.relicLocations.junk, ['ARE'])
+  // The other relic locations of the preset are kept.
+  const locations = Object.assign({}, options.relicLocations)
+  delete locations.junk
+  assert.deepStrictEqual(locations, safe.relicLocations)
+})
+
+test('item locations name the room of the tile', function() {
+  const items = require('../items')
+  const vanilla = items.filter(function(item) {
+    return item.tiles && item.tiles.some(function(tile) {
+      return tile.zones && tile.entities && !('candle' in tile)
+    })
+  })[0]
+  const tile = Object.assign({}, vanilla.tiles.filter(function(tile) {
+    return tile.zones && tile.entities && !('candle' in tile)
+  })[0], {room: 12})
+  const placements = [{item: vanilla, tile: tile, vanilla: vanilla}]
+  const zone = constants.zoneLongNames[tile.zones[0]]
+  const info = util.renderPlacements(placements)
+  assert.deepStrictEqual(info[5]['Item locations'], [
+    vanilla.name + ' at ' + vanilla.name + ' (' + zone + ', room 12)',
+  ])
+  const options = util.optionsFromString('t')
+  const spoiler = util.spoilerData('seed', options, 0, null, {
+    placements: placements,
+  })
+  assert.strictEqual(spoiler.items[0].room, 12)
+})
+
+test('images that differ from the vanilla fingerprints fail', function() {
+  const errors = require('../errors')
+  const regions = [constants.exe].concat(constants.zones)
+  const size = regions.reduce(function(end, region) {
+    return Math.max(end, util.romOffset(region, region.len))
+  }, 0)
+  const image = Buffer.alloc(size)
+  const fingerprints = [util.fingerprint(image)]
+  util.checkVanilla(image, fingerprints)
+  regions.forEach(function(region) {
+    const address = util.romOffset(region, region.len >>> 1)
+    image[address] ^= 0x01
+    assert.throws(function() {
+      util.checkVanilla(image, fingerprints)
+    }, errors.UnknownImageError)
+    image[address] ^= 0x01
+  })
+})
+
+test('duplicate enemy names round trip through compact options', function() {
+  const enemies = require('../enemies')
+  const names = enemies.map(function(enemy) {
+    return enemy.name
+  })
+  enemies.filter(function(enemy) {
+    return names.indexOf(enemy.name) !== names.lastIndexOf(enemy.name)
+  }).forEach(function(enemy) {
+    const name = enemy.name.replace(/[^a-zA-Z0-9]/g, '')
+    let idString = name
+    if (util.enemyFromIdString(name) !== enemy) {
+      idString += '-' + enemy.level
+    }
+    if (util.enemyFromIdString(idString) !== enemy) {
+      // Enemies with the same name and level can't be told apart.
+      return
+    }
+    const str = 'd:' + idString + ':Apple'
+    const options = util.optionsFromString(str)
+    const decoded = util.optionsFromString(util.encodeOptions(options))
+    assert.strictEqual(util.optionsToString(decoded), str)
+  })
+  // Both names are the same enemy in either form.
+  const options = util.optionsFromString(
+    'd:Merman-3:Duplicator-MannaPrism:Merman:Apple',
+  )
+  const decoded = util.optionsFromString(util.encodeOptions(options))
+  assert.strictEqual(util.optionsToString(options), 'd:Merman:Apple')
+  assert.strictEqual(util.optionsToString(decoded), 'd:Merman:Apple')
+})
+
+test('hints in the seed menu are told apart from presets', function() {
+  const relics = require('../relics')
+  relics.filter(function(relic) {
+    return relic.ability
+  }).forEach(function(relic) {
+    Object.getOwnPropertyNames(constants.HINT).forEach(function(type) {
+      const text = util.seedMenuPreset('safe', [{
+        type: constants.HINT[type],
+        ability: relic.ability,
+        zone: constants.zoneNames[0],
+      }])
+      assert.ok(util.isSeedMenuHint(text), text)
+    })
+  })
+  require('../presets').forEach(function(preset) {
+    assert.ok(!util.isSeedMenuHint(preset.id), preset.id)
+  })
+})
+
+test('lock macros are expanded', function() {
+  const json = {
+    metadata: {id: 'macros'},
+    macros: {
+      flight: ['Soul of Bat', 'Gravity Boots + Leap Stone'],
+      high: ['flight', 'Form of Mist + Power of Mist'],
+    },
+    lockLocation: [{
+      location: 'Soul of Wolf',
+      locks: ['Jewel of Open + high'],
+    }],
+  }
+  const builder = util.PresetBuilder.fromJSON(json)
+  assert.deepStrictEqual(builder.toJSON().lockLocation, [{
+    location: 'Soul of Wolf',
+    locks: [
+      'Jewel of Open + Soul of Bat',
+      'Jewel of Open + Gravity Boots + Leap Stone',
+      'Jewel of Open + Form of Mist + Power of Mist',
+    ],
+  }])
+  json.macros.flight.push('high')
+  assert.throws(function() {
+    util.PresetBuilder.fromJSON(json)
+  }, {message: 'Circular macro: high > flight > high'})
+  // Only the macros of the preset are expanded.
+  ;['constructor', 'toString'].forEach(function(name) {
+    json.lockLocation[0].locks = [name]
+    assert.throws(function() {
+      util.PresetBuilder.fromJSON(json)
+    }, {name: 'AssertionError', message: 'Unknown relic or macro: ' + name})
+  })
+})
+
+test('presets name drop enemies the same way as options', function() {
+  const str = 'd:Merman-2:Orange:Merman:Apple:MedusaHead:'
+  const options = util.optionsFromString(str)
+  const preset = util.PresetBuilder.fromOptions({id: 'drops'}, options).build()
+  const drops = preset.options().enemyDrops
+  Object.getOwnPropertyNames(drops).forEach(function(name) {
+    assert.ok(util.enemyFromIdString(name), name)
+  })
+  assert.strictEqual(util.optionsToString(preset.options()), str)
+})
@@ -0,0 +1,45 @@
+const assert = require('assert')
+const fs = require('fs')
+const path = require('path')
+const test = require('node:test')
+const validate = require('../validate')
+
+test('the published preset schema is up to date', function() {
+  const file = path.join(__dirname, '..', 'build', 'preset-schema.json')
+  assert.deepStrictEqual(
+    JSON.parse(fs.readFileSync(file)),
+    JSON.parse(JSON.stringify(validate.schema)),
+    'Run `npm run build-presets` to update build/preset-schema.json',
+  )
+})
+
+test('locks are checked for unknown and circular macros', function() {
+  const json = {
+    metadata: {
+      id: 'macros',
+      name: 'Macros',
+      description: 'Locks that use macros.',
+      author: 'Test',
+    },
+    macros: {
+      flight: ['Soul of Bat', 'Gravity Boots + Leap Stone'],
+      high: ['flight', 'Form of Mist + Power of Mist'],
+    },
+    lockLocation: [{
+      location: 'Soul of Wolf',
+      locks: ['Jewel of Open + high'],
+    }],
+  }
+  assert.deepStrictEqual(validate.validate(json), [])
+  ;['constructor', 'toString'].forEach(function(name) {
+    json.lockLocation[0].locks = [name]
+    assert.deepStrictEqual(validate.validate(json).map(function(error) {
+      return error.message
+    }), ['Unknown relic or macro ' + JSON.stringify(name)])
+  })
+  json.macros.flight.push('high')
+  json.lockLocation[0].locks = ['high']
+  assert.ok(validate.validate(json).some(function(error) {
+    return error.message === 'Circular macro: high > flight > high'
+  }))
+})
@@ -0,0 +1,38 @@
+const assert = require('assert')
+const test = require('node:test')
+const generate = require('../generate')
+const util = require('../util')
+
+// Returns an image of empty sectors.
+function emptyImage() {
+  const image = new Uint8Array(2352 * 4)
+  for (let i = 0; i < image.length; i += 2352) {
+    // Mode 0 sectors only have a sync header.
+    image.fill(0xff, i + 1, i + 11)
+  }
+  return image.buffer
+}
+
+function finalize(worker, metadata) {
+  return util.finalizeData(
+    'seed',
+    undefined,
+    emptyImage(),
+    new util.checked(),
+    undefined,
+    metadata,
+    worker,
+  )
+}
+
+test('patches are only created when they are asked for', async function() {
+  const worker = generate.createWorkers(1)[0]
+  try {
+    let result = await finalize(worker)
+    assert.strictEqual(result.patch, undefined)
+    result = await finalize(worker, {seed: 'seed'})
+    assert(result.patch instanceof ArrayBuffer)
+  } finally {
+    await worker.terminate()
+  }
+})
@@ -305,6 +305,57 @@
     return zone.pos + address + Math.floor(address / 0x800) * 0x130
   }
 
+  function readBytes(file, address, length) {
+    if (typeof(file) === 'object') {
+      return file.subarray(address, address + length)
+    }
+    const buf = Buffer.alloc(length)
+    fs.readSync(file, buf, 0, length, address)
+    return buf
+  }
+
+  function fileSize(file) {
+    if (typeof(file) === 'object') {
+      return file.length
+    }
+    return fs.fstatSync(file).size
+  }
+
+  const crcTable = new Uint32Array(256)
+  for (let i = 0; i < 256; i++) {
+    let crc = i
+    for (let j = 0; j < 8; j++) {
+      crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1
+    }
+    crcTable[i] = crc
+  }
+
+  function crc32(data, crc) {
+    crc = (crc || 0) ^ 0xffffffff
+    for (let i = 0; i < data.length; i++) {
+      crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8)
+    }
+    return (crc ^ 0xffffffff) >>> 0
+  }
+
+  function regionChecksum(file, region) {
+    let crc = 0
+    for (let offset = 0; offset < region.len; offset += 0x800) {
+      const length = Math.min(0x800, region.len - offset)
+      crc = crc32(readBytes(file, romOffset(region, offset), length), crc)
+    }
+    return crc
+  }
+
+  function fingerprint(file) {
+    return {
+      exe: regionChecksum(file, constants.exe),
+      zones: constants.zones.map(function(zone) {
+        return regionChecksum(file, zone)
+      }),
+    }
+  }
+
   function bufToHex(buf) {
     return Array.from(buf).map(function(byte) {
       return ('00' + byte.toString(16)).slice(-2)
@@ -416,6 +467,9 @@
   }
 
   function optionsFromString(randomize) {
+    if (randomize[0] === optionsEncodingPrefix) {
+      return decodeOptions(randomize)
+    }
     const options = {}
     let i = 0
     while (i < randomize.length) {
@@ -478,20 +532,18 @@
                 name = name.toLowerCase()
                 return name === arg.toLowerCase()
               })
+              // Names resolve the same way as when drops are placed.
               if (matches.length > 1 && typeof(level) !== 'undefined') {
                 enemy = matches.filter(function(enemy) {
                   return enemy.level === level
-                })[0]
+                }).pop()
               } else {
-                enemy = matches[0]
+                enemy = matches.pop()
               }
               if (!enemy) {
                 throw new Error('Unknown enemy: ' + arg)
               }
-              enemyName = enemy.name.replace(/[^a-zA-Z0-9]/g, '')
-              if (matches.length > 1 && matches[0] !== enemy) {
-                enemyName += '-' + enemy.level
-              }
+              enemyName = enemyIdString(enemy)
             }
             if (typeof(enemyDrops) !== 'object') {
               enemyDrops = {}
@@ -902,6 +954,7 @@
             let ext
             let location
             let placing
+            let junk
             if (/^[0-9]+(-[0-9]+)?$/.test(arg)) {
               location = arg
             } else if (arg === 'x') {
@@ -910,22 +963,42 @@
               if (arg.startsWith('@')) {
                 placing = true
                 arg = arg.slice(1)
+              } else if (arg.startsWith('!')) {
+                junk = true
+                arg = arg.slice(1)
               }
-              location = locations.filter(function(name) {
-                if (name.length > 1) {
-                  const loc = name.replace(/[^a-zA-Z0-9]/g, '').toLowerCase()
-                  return loc === arg.toLowerCase()
+              const findLocation = function(arg) {
+                const location = locations.filter(function(name) {
+                  if (name.length > 1) {
+                    const loc = name.replace(/[^a-zA-Z0-9]/g, '')
+                    return loc.toLowerCase() === arg.toLowerCase()
+                  }
+                  return name === arg
+                }).pop()
+                if (!location) {
+                  throw new Error('Invalid relic location: ' + arg)
                 }
-                return name === arg
-              }).pop()
-              if (!location) {
-                throw new Error('Invalid relic location: ' + arg)
+                return location
+              }
+              if (junk && arg in constants.ZONE) {
+                location = arg
+              } else if (placing) {
+                // Relics may be placed at any of several locations.
+                location = arg.split('-').map(findLocation).join('-')
+              } else {
+                location = findLocation(arg)
               }
             }
             if (typeof(relicLocations) !== 'object') {
               relicLocations = {}
             }
-            if (randomize[i] === ':') {
+            if (junk) {
+              // Junk locations and zones don't take an argument.
+              relicLocations.junk = relicLocations.junk || []
+              if (relicLocations.junk.indexOf(location) === -1) {
+                relicLocations.junk.push(location)
+              }
+            } else if (randomize[i] === ':') {
               start = ++i
               while (i < randomize.length
                      && [',', ':'].indexOf(randomize[i]) === -1) {
@@ -955,14 +1028,16 @@
                 }
                 const parts = arg.split('+')
                 if (placing && parts.length != 1) {
-                  throw new Error('Can only place 1 relic per location')
+                  throw new Error('Invalid placement: ' + location + ':' + arg)
                 } else if (parts.length > 2) {
                   throw new Error('Invald lock: ' + location + ':' + arg)
                 }
                 parts.forEach(function(part, index) {
                   let locks = part.split('-')
                   if (placing && locks.length != 1) {
-                    throw new Error('Can only place 1 relic per location')
+                    throw new Error(
+                      'Invalid placement: ' + location + ':' + arg
+                    )
                   }
                   const emptyLocks = locks.filter(function(lock) {
                     return lock.length === 0
@@ -1011,6 +1086,64 @@
         options.relicLocations = relicLocations
         break
       }
+      case 'h': {
+        let hints = options.hints || true
+        // Check for an argument.
+        if (randomize[i] === ':') {
+          i++
+          let args = 0
+          while (i < randomize.length && randomize[i] !== ',') {
+            let arg
+            let start
+            // Parse the hint type.
+            start = i
+            while (i < randomize.length
+                   && [',', ':'].indexOf(randomize[i]) === -1) {
+              i++
+            }
+            arg = randomize.slice(start, i)
+            const type = Object.getOwnPropertyNames(constants.HINT).map(
+              function(key) {
+                return constants.HINT[key]
+              }
+            ).filter(function(type) {
+              return type[0] === arg
+            }).pop()
+            if (!type) {
+              throw new Error('Unknown hint type: ' + arg)
+            }
+            if (randomize[i] !== ':') {
+              throw new Error('Expected argument')
+            }
+            // Parse the hint count.
+            start = ++i
+            while (i < randomize.length
+                   && [',', ':'].indexOf(randomize[i]) === -1) {
+              i++
+            }
+            arg = randomize.slice(start, i)
+            if (!/^[0-9]+$/.test(arg)) {
+              throw new Error('Invalid hint count: ' + arg)
+            }
+            if (typeof(hints) !== 'object') {
+              hints = {}
+            }
+            hints[type] = parseInt(arg)
+            if (randomize[i] === ':') {
+              i++
+            }
+            args++
+          }
+          if (randomize[i] === ',') {
+            i++
+          }
+          if (!args) {
+            throw new Error('Expected argument')
+          }
+        }
+        options.hints = hints
+        break
+      }
       case 'm': {
         options.music = true
         break
@@ -1034,7 +1167,7 @@
       if (self) {
         return self.sotnRando.presets
       } else {
-        return require('./build/presets')
+        return require('./presets')
       }
     } catch (err) {
       return []
@@ -1273,7 +1406,15 @@
             if (options.relicLocations.placed) {
               let placed = options.relicLocations.placed
               Object.getOwnPropertyNames(placed).forEach(function(location) {
-                locks.push('@' + location + ':' + placed[location])
+                const names = location.split('-').map(function(name) {
+                  return name.replace(/[^a-zA-Z0-9]/g, '')
+                })
+                locks.push('@' + names.join('-') + ':' + placed[location])
+              })
+            }
+            if (options.relicLocations.junk) {
+              options.relicLocations.junk.forEach(function(location) {
+                locks.push('!' + location.replace(/[^a-zA-Z0-9]/g, ''))
               })
             }
             if (locks.length) {
@@ -1283,6 +1424,21 @@
           randomize.push(opt)
         }
         delete options.relicLocations
+      } else if ('hints' in options) {
+        if (options.hints) {
+          let opt = 'h'
+          if (typeof(options.hints) === 'object') {
+            const hints = options.hints
+            Object.getOwnPropertyNames(constants.HINT).forEach(function(key) {
+              const type = constants.HINT[key]
+              if (type in hints) {
+                opt += ':' + type[0] + ':' + hints[type]
+              }
+            })
+          }
+          randomize.push(opt)
+        }
+        delete options.hints
       } else if ('music' in options) {
         if (options.music) {
           randomize.push('m')
@@ -1325,8 +1481,764 @@
     return randomize
   }
 
-  function optionsToUrl(version, options, checksum, seed, baseUrl) {
-    options = optionsToString(options)
+  const base64urlChars =
+    'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_'
+
+  // Encodes bytes as unpadded base64url.
+  function base64urlEncode(bytes) {
+    let str = ''
+    for (let i = 0; i < bytes.length; i += 3) {
+      const count = Math.min(bytes.length - i, 3)
+      let n = 0
+      for (let j = 0; j < 3; j++) {
+        n = (n << 8) | (j < count ? bytes[i + j] : 0)
+      }
+      for (let j = 0; j <= count; j++) {
+        str += base64urlChars[(n >>> (18 - 6 * j)) & 0x3f]
+      }
+    }
+    return str
+  }
+
+  function base64urlDecode(str) {
+    const bytes = []
+    for (let i = 0; i < str.length; i += 4) {
+      const count = Math.min(str.length - i, 4)
+      if (count === 1) {
+        throw new Error('Invalid base64url length')
+      }
+      let n = 0
+      for (let j = 0; j < 4; j++) {
+        let value = 0
+        if (j < count) {
+          value = base64urlChars.indexOf(str[i + j])
+          if (value === -1) {
+            throw new Error('Invalid base64url character: ' + str[i + j])
+          }
+        }
+        n = (n << 6) | value
+      }
+      for (let j = 0; j < count - 1; j++) {
+        bytes.push((n >>> (16 - 8 * j)) & 0xff)
+      }
+    }
+    return bytes
+  }
+
+  // Writes values of any bit length most significant bit first.
+  function BitWriter() {
+    this.bytes = []
+    this.acc = 0
+    this.bits = 0
+  }
+
+  BitWriter.prototype.write = function write(value, bits) {
+    for (let i = bits - 1; i >= 0; i--) {
+      this.acc = (this.acc << 1) | ((value >>> i) & 1)
+      if (++this.bits === 8) {
+        this.bytes.push(this.acc)
+        this.acc = 0
+        this.bits = 0
+      }
+    }
+  }
+
+  // Writes a positive integer as an Elias gamma code.
+  BitWriter.prototype.writeGamma = function writeGamma(value) {
+    const bits = 32 - Math.clz32(value)
+    this.write(0, bits - 1)
+    this.write(value, bits)
+  }
+
+  BitWriter.prototype.finish = function finish() {
+    if (this.bits) {
+      this.bytes.push(this.acc << (8 - this.bits))
+      this.acc = 0
+      this.bits = 0
+    }
+    return this.bytes
+  }
+
+  function BitReader(bytes) {
+    this.bytes = bytes
+    this.pos = 0
+  }
+
+  BitReader.prototype.read = function read(bits) {
+    let value = 0
+    for (let i = 0; i < bits; i++) {
+      const index = this.pos >>> 3
+      if (index >= this.bytes.length) {
+        throw new Error('Unexpected end of data')
+      }
+      const bit = (this.bytes[index] >>> (7 - (this.pos & 7))) & 1
+      value = (value << 1) | bit
+      this.pos++
+    }
+    return value
+  }
+
+  BitReader.prototype.readGamma = function readGamma() {
+    let bits = 1
+    while (!this.read(1)) {
+      if (++bits > 32) {
+        throw new Error('Invalid gamma code')
+      }
+    }
+    return ((1 << (bits - 1)) | this.read(bits - 1)) >>> 0
+  }
+
+  // LZ77 matches may reach this many bytes back.
+  const lzWindow = 4095
+
+  function lzOffsetBits(pos) {
+    return 32 - Math.clz32(Math.min(pos, lzWindow) - 1)
+  }
+
+  function lzCompress(bytes, writer) {
+    writer.writeGamma(bytes.length + 1)
+    let i = 0
+    while (i < bytes.length) {
+      let length = 0
+      let offset
+      for (let j = Math.max(i - lzWindow, 0); j < i; j++) {
+        let l = 0
+        while (i + l < bytes.length && bytes[j + l] === bytes[i + l]) {
+          l++
+        }
+        if (l && l >= length) {
+          length = l
+          offset = i - j
+        }
+      }
+      if (length >= 3) {
+        writer.write(1, 1)
+        writer.write(offset - 1, lzOffsetBits(i))
+        writer.writeGamma(length - 2)
+        i += length
+      } else {
+        // Literals are 7 bits, with 0 escaping the other bytes.
+        writer.write(0, 1)
+        if (bytes[i] > 0 && bytes[i] < 0x80) {
+          writer.write(bytes[i], 7)
+        } else {
+          writer.write(0, 7)
+          writer.write(bytes[i], 8)
+        }
+        i++
+      }
+    }
+  }
+
+  function lzDecompress(reader) {
+    const length = reader.readGamma() - 1
+    const out = []
+    while (out.length < length) {
+      if (reader.read(1)) {
+        const offset = reader.read(lzOffsetBits(out.length)) + 1
+        const count = reader.readGamma() + 2
+        if (offset > out.length || out.length + count > length) {
+          throw new Error('Invalid compressed data')
+        }
+        for (let i = 0; i < count; i++) {
+          out.push(out[out.length - offset])
+        }
+      } else {
+        out.push(reader.read(7) || reader.read(8))
+      }
+    }
+    return out
+  }
+
+  function writeString(writer, str) {
+    const bytes = new TextEncoder().encode(str)
+    writer.writeGamma(bytes.length + 1)
+    bytes.forEach(function(byte) {
+      writer.write(byte, 8)
+    })
+  }
+
+  function readString(reader) {
+    const bytes = new Uint8Array(reader.readGamma() - 1)
+    for (let i = 0; i < bytes.length; i++) {
+      bytes[i] = reader.read(8)
+    }
+    return new TextDecoder().decode(bytes)
+  }
+
+  // Options are encoded as a version byte followed by fields. Each field
+  // starts with a 4 bit tag, which is its index in this list plus one. The
+  // tag 0 ends the options.
+  const optionsEncodingPrefix = '.'
+  const optionsEncodingVersion = 1
+  const optionsFields = [
+    'preset',
+    'enemyDrops',
+    'startingEquipment',
+    'itemLocations',
+    'prologueRewards',
+    'relicLocations',
+    'hints',
+    'music',
+    'turkeyMode',
+  ]
+
+  const equipmentSlots = ['r', 'l', 'h', 'b', 'c', 'o', 'a', 'x']
+  const rewardSlots = ['h', 'n', 'p']
+
+  // Wildcards in place of an enemy or zone id.
+  const encodedAnyEnemy = 0
+  const encodedGlobalDrop = 0xff
+  const encodedAnyZone = 0x3f
+
+  function relicAbilities() {
+    return Object.getOwnPropertyNames(constants.RELIC).map(function(key) {
+      return constants.RELIC[key]
+    })
+  }
+
+  function extensionValues() {
+    return Object.getOwnPropertyNames(constants.EXTENSION).map(function(key) {
+      return constants.EXTENSION[key]
+    })
+  }
+
+  function hintTypes() {
+    return Object.getOwnPropertyNames(constants.HINT).map(function(key) {
+      return constants.HINT[key]
+    })
+  }
+
+  function zoneFromValue(value) {
+    const zone = Object.getOwnPropertyNames(constants.ZONE).filter(
+      function(zone) {
+        return constants.ZONE[zone] === value
+      }
+    ).pop()
+    if (!zone) {
+      throw new Error('Unknown zone id: ' + value)
+    }
+    return zone
+  }
+
+  // Items are written as their type and id. Empty slots are a single bit.
+  function writeItem(writer, itemName) {
+    const item = itemName && itemFromName(itemName)
+    writer.write(item ? 1 : 0, 1)
+    if (item) {
+      writer.write(item.type, 4)
+      writer.write(item.id, 9)
+    }
+  }
+
+  function readItem(reader) {
+    if (!reader.read(1)) {
+      return ''
+    }
+    const type = reader.read(4)
+    const id = reader.read(9)
+    const item = items.filter(function(item) {
+      return item.type === type && item.id === id
+    })[0]
+    if (!item) {
+      throw new Error('Unknown item id: ' + type + ':' + id)
+    }
+    return item.name
+  }
+
+  function writeEnemy(writer, enemyName) {
+    if (enemyName === '*') {
+      writer.write(encodedAnyEnemy, 8)
+    } else if (enemyName === constants.GLOBAL_DROP) {
+      writer.write(encodedGlobalDrop, 8)
+    } else {
+      const enemy = enemyFromIdString(enemyName)
+      if (!enemy) {
+        throw new Error('Unknown enemy: ' + enemyName)
+      }
+      writer.write(enemy.id, 8)
+    }
+  }
+
+  function readEnemy(reader) {
+    const id = reader.read(8)
+    if (id === encodedAnyEnemy) {
+      return '*'
+    } else if (id === encodedGlobalDrop) {
+      return constants.GLOBAL_DROP
+    }
+    const enemy = enemies.filter(function(enemy) {
+      return enemy.id === id
+    })[0]
+    if (!enemy) {
+      throw new Error('Unknown enemy id: ' + id)
+    }
+    return enemyIdString(enemy)
+  }
+
+  function writeRelics(writer, abilities) {
+    const all = relicAbilities()
+    writer.writeGamma(abilities.length + 1)
+    abilities.split('').forEach(function(ability) {
+      writer.write(all.indexOf(ability), 6)
+    })
+  }
+
+  function readRelics(reader) {
+    const all = relicAbilities()
+    const count = reader.readGamma() - 1
+    let abilities = ''
+    for (let i = 0; i < count; i++) {
+      const index = reader.read(6)
+      if (index >= all.length) {
+        throw new Error('Unknown relic id: ' + index)
+      }
+      abilities += all[index]
+    }
+    return abilities
+  }
+
+  // Locks are written as the list of requirements, then the list of escape
+  // requirements.
+  function writeLocks(writer, locks) {
+    const lists = [
+      locks.filter(function(lock) {
+        return lock[0] !== '+'
+      }),
+      locks.filter(function(lock) {
+        return lock[0] === '+'
+      }).map(function(lock) {
+        return lock.slice(1)
+      }),
+    ]
+    lists.forEach(function(list) {
+      writer.writeGamma(list.length + 1)
+      list.forEach(function(lock) {
+        writeRelics(writer, lock)
+      })
+    })
+  }
+
+  function readLocks(reader) {
+    const locks = []
+    for (let escape = 0; escape < 2; escape++) {
+      const count = reader.readGamma() - 1
+      for (let i = 0; i < count; i++) {
+        locks.push((escape ? '+' : '') + readRelics(reader))
+      }
+    }
+    return locks
+  }
+
+  // Relic locations are numbered after the relics.
+  function writeLocation(writer, location) {
+    const abilities = relicAbilities()
+    let index = abilities.indexOf(location)
+    if (index === -1) {
+      index = extension.map(function(location) {
+        return location.name
+      }).indexOf(location)
+      if (index === -1) {
+        throw new Error('Unknown relic location: ' + location)
+      }
+      index += abilities.length
+    }
+    writer.write(index, 7)
+  }
+
+  function readLocation(reader) {
+    const abilities = relicAbilities()
+    const index = reader.read(7)
+    if (index < abilities.length) {
+      return abilities[index]
+    } else if (index - abilities.length < extension.length) {
+      return extension[index - abilities.length].name
+    }
+    throw new Error('Unknown relic location id: ' + index)
+  }
+
+  function writeRelicLocations(writer, relicLocations) {
+    const keys = Object.getOwnPropertyNames(relicLocations)
+    const goal = keys.filter(function(key) {
+      return /^[0-9]+(-[0-9]+)?$/.test(key)
+    })[0]
+    writer.write(goal ? 1 : 0, 1)
+    if (goal) {
+      const bounds = goal.split('-')
+      writer.write(bounds.length - 1, 1)
+      bounds.forEach(function(bound) {
+        writer.writeGamma(parseInt(bound) + 1)
+      })
+      writeLocks(writer, relicLocations[goal])
+    }
+    writer.write(relicLocations.extension ? 1 : 0, 1)
+    if (relicLocations.extension) {
+      writer.writeGamma(extensionValues().indexOf(relicLocations.extension) + 1)
+    }
+    const locations = keys.filter(function(key) {
+      return key !== goal
+        && ['extension', 'placed', 'junk'].indexOf(key) === -1
+    })
+    // Locations often share their locks, so repeated locks refer back to
+    // the first location that had them.
+    const written = []
+    writer.writeGamma(locations.length + 1)
+    locations.forEach(function(location) {
+      writeLocation(writer, location)
+      const locks = relicLocations[location].join(',')
+      const index = written.indexOf(locks)
+      writer.write(index === -1 ? 0 : 1, 1)
+      if (index === -1) {
+        writeLocks(writer, relicLocations[location])
+        written.push(locks)
+      } else {
+        writer.writeGamma(index + 1)
+      }
+    })
+    const placed = relicLocations.placed || {}
+    const placements = Object.getOwnPropertyNames(placed)
+    writer.writeGamma(placements.length + 1)
+    placements.forEach(function(placement) {
+      const locations = placement.split('-')
+      writer.writeGamma(locations.length)
+      locations.forEach(function(location) {
+        writeLocation(writer, location)
+      })
+      writeRelics(writer, placed[placement])
+    })
+    const junk = relicLocations.junk || []
+    writer.writeGamma(junk.length + 1)
+    junk.forEach(function(location) {
+      if (location in constants.ZONE) {
+        writer.write(1, 1)
+        writer.write(constants.ZONE[location], 6)
+      } else {
+        writer.write(0, 1)
+        writeLocation(writer, location)
+      }
+    })
+  }
+
+  function readRelicLocations(reader) {
+    const relicLocations = {}
+    if (reader.read(1)) {
+      const count = reader.read(1) + 1
+      const bounds = []
+      for (let i = 0; i < count; i++) {
+        bounds.push(reader.readGamma() - 1)
+      }
+      relicLocations[bounds.join('-')] = readLocks(reader)
+    }
+    if (reader.read(1)) {
+      const extension = extensionValues()[reader.readGamma() - 1]
+      if (!extension) {
+        throw new Error('Unknown relic locations extension')
+      }
+      relicLocations.extension = extension
+    }
+    const read = []
+    let count = reader.readGamma() - 1
+    for (let i = 0; i < count; i++) {
+      const location = readLocation(reader)
+      if (reader.read(1)) {
+        const locks = read[reader.readGamma() - 1]
+        if (!locks) {
+          throw new Error('Invalid relic location locks')
+        }
+        relicLocations[location] = locks.slice()
+      } else {
+        relicLocations[location] = readLocks(reader)
+        read.push(relicLocations[location].slice())
+      }
+    }
+    count = reader.readGamma() - 1
+    if (count) {
+      relicLocations.placed = {}
+      for (let i = 0; i < count; i++) {
+        const locations = []
+        const length = reader.readGamma()
+        for (let j = 0; j < length; j++) {
+          locations.push(readLocation(reader))
+        }
+        relicLocations.placed[locations.join('-')] = readRelics(reader)
+      }
+    }
+    count = reader.readGamma() - 1
+    if (count) {
+      relicLocations.junk = []
+      for (let i = 0; i < count; i++) {
+        if (reader.read(1)) {
+          relicLocations.junk.push(zoneFromValue(reader.read(6)))
+        } else {
+          relicLocations.junk.push(readLocation(reader))
+        }
+      }
+    }
+    return relicLocations
+  }
+
+  function writeOptions(writer, options) {
+    // Start from the options that the options string keeps.
+    options = optionsFromString(optionsToString(options))
+    optionsFields.forEach(function(field, index) {
+      if (!(field in options)) {
+        return
+      }
+      const value = options[field]
+      writer.write(index + 1, 4)
+      switch (field) {
+      case 'preset':
+        writeString(writer, value)
+        break
+      case 'music':
+      case 'turkeyMode':
+        break
+      default:
+        // The remaining fields are either true or an object.
+        writer.write(typeof(value) === 'object' ? 1 : 0, 1)
+        if (typeof(value) !== 'object') {
+          break
+        }
+        switch (field) {
+        case 'enemyDrops': {
+          const enemyNames = Object.getOwnPropertyNames(value)
+          writer.writeGamma(enemyNames.length + 1)
+          enemyNames.forEach(function(enemyName) {
+            writeEnemy(writer, enemyName)
+            writer.writeGamma(value[enemyName].length + 1)
+            value[enemyName].forEach(function(itemName) {
+              writeItem(writer, itemName)
+            })
+          })
+          break
+        }
+        case 'startingEquipment':
+        case 'prologueRewards': {
+          const slots = field === 'prologueRewards'
+            ? rewardSlots
+            : equipmentSlots
+          slots.forEach(function(slot) {
+            writer.write(slot in value ? 1 : 0, 1)
+            if (slot in value) {
+              writeItem(writer, value[slot])
+            }
+          })
+          break
+        }
+        case 'itemLocations': {
+          const locations = []
+          Object.getOwnPropertyNames(value).forEach(function(zone) {
+            Object.getOwnPropertyNames(value[zone]).forEach(function(name) {
+              const map = value[zone][name]
+              Object.getOwnPropertyNames(map).forEach(function(index) {
+                locations.push([zone, name, parseInt(index), map[index]])
+              })
+            })
+          })
+          writer.writeGamma(locations.length + 1)
+          locations.forEach(function(location) {
+            const zone = location[0]
+            const itemName = location[1]
+            if (zone === '*') {
+              writer.write(encodedAnyZone, 6)
+            } else {
+              writer.write(constants.ZONE[zone], 6)
+            }
+            writer.write(itemName === '*' ? 1 : 0, 1)
+            if (itemName !== '*') {
+              writeItem(writer, itemName)
+            }
+            writer.writeGamma(location[2] + 1)
+            writeItem(writer, location[3])
+          })
+          break
+        }
+        case 'relicLocations':
+          writeRelicLocations(writer, value)
+          break
+        case 'hints':
+          hintTypes().forEach(function(type) {
+            writer.write(type in value ? 1 : 0, 1)
+            if (type in value) {
+              writer.writeGamma(value[type] + 1)
+            }
+          })
+          break
+        }
+      }
+    })
+    writer.write(0, 4)
+  }
+
+  function readOptions(reader) {
+    const options = {}
+    let tag
+    while ((tag = reader.read(4))) {
+      const field = optionsFields[tag - 1]
+      if (!field) {
+        throw new Error('Unknown options field: ' + tag)
+      }
+      switch (field) {
+      case 'preset':
+        options.preset = readString(reader)
+        if (!presetFromName(options.preset)) {
+          throw new Error('Unknown preset: ' + options.preset)
+        }
+        break
+      case 'music':
+      case 'turkeyMode':
+        options[field] = true
+        break
+      default:
+        if (!reader.read(1)) {
+          options[field] = true
+          break
+        }
+        switch (field) {
+        case 'enemyDrops': {
+          const enemyDrops = {}
+          const count = reader.readGamma() - 1
+          for (let i = 0; i < count; i++) {
+            const enemyName = readEnemy(reader)
+            const drops = []
+            const length = reader.readGamma() - 1
+            for (let j = 0; j < length; j++) {
+              drops.push(readItem(reader))
+            }
+            enemyDrops[enemyName] = drops
+          }
+          options.enemyDrops = enemyDrops
+          break
+        }
+        case 'startingEquipment':
+        case 'prologueRewards': {
+          const slots = field === 'prologueRewards'
+            ? rewardSlots
+            : equipmentSlots
+          const value = {}
+          slots.forEach(function(slot) {
+            if (reader.read(1)) {
+              value[slot] = readItem(reader)
+            }
+          })
+          options[field] = value
+          break
+        }
+        case 'itemLocations': {
+          const itemLocations = {}
+          const count = reader.readGamma() - 1
+          for (let i = 0; i < count; i++) {
+            const value = reader.read(6)
+            const zone = value === encodedAnyZone ? '*' : zoneFromValue(value)
+            const itemName = reader.read(1) ? '*' : readItem(reader)
+            const index = reader.readGamma() - 1
+            itemLocations[zone] = itemLocations[zone] || {}
+            const map = itemLocations[zone][itemName] || {}
+            map[index] = readItem(reader)
+            itemLocations[zone][itemName] = map
+          }
+          options.itemLocations = itemLocations
+          break
+        }
+        case 'relicLocations':
+          options.relicLocations = readRelicLocations(reader)
+          break
+        case 'hints': {
+          const hints = {}
+          hintTypes().forEach(function(type) {
+            if (reader.read(1)) {
+              hints[type] = reader.readGamma() - 1
+            }
+          })
+          options.hints = hints
+          break
+        }
+        }
+      }
+    }
+    if (!Object.getOwnPropertyNames(options).length) {
+      throw new Error('No randomizations')
+    }
+    return options
+  }
+
+  // Encodes options in the compact form of the options string.
+  function encodeOptions(options) {
+    const writer = new BitWriter()
+    writer.write(optionsEncodingVersion, 8)
+    writeOptions(writer, options)
+    return optionsEncodingPrefix + base64urlEncode(writer.finish())
+  }
+
+  function decodeOptions(str) {
+    if (str[0] !== optionsEncodingPrefix) {
+      throw new Error('Invalid options encoding')
+    }
+    const reader = new BitReader(base64urlDecode(str.slice(1)))
+    const version = reader.read(8)
+    if (version !== optionsEncodingVersion) {
+      throw new Error('Unsupported options encoding version: ' + version)
+    }
+    return readOptions(reader)
+  }
+
+  // Custom presets are encoded as a version byte, the compressed JSON array of
+  // the preset metadata, and the encoded options.
+  const presetEncodingPrefix = '~'
+  const presetEncodingVersion = 1
+
+  function encodePreset(preset) {
+    if (presetFromName(preset.id) === preset) {
+      return 'p:' + preset.id
+    }
+    const json = JSON.stringify([
+      preset.id,
+      preset.name,
+      preset.description,
+      preset.author,
+    ])
+    const writer = new BitWriter()
+    writer.write(presetEncodingVersion, 8)
+    lzCompress(Array.from(new TextEncoder().encode(json)), writer)
+    writeOptions(writer, preset.options())
+    return presetEncodingPrefix + base64urlEncode(writer.finish())
+  }
+
+  function decodePreset(str) {
+    if (str[0] !== presetEncodingPrefix) {
+      throw new Error('Invalid preset encoding')
+    }
+    const reader = new BitReader(base64urlDecode(str.slice(1)))
+    const version = reader.read(8)
+    if (version !== presetEncodingVersion) {
+      throw new Error('Unsupported preset encoding version: ' + version)
+    }
+    const json = JSON.parse(new TextDecoder().decode(
+      new Uint8Array(lzDecompress(reader))
+    ))
+    const metadata = {
+      id: json[0],
+      name: json[1],
+      description: json[2],
+      author: json[3],
+    }
+    const options = readOptions(reader)
+    return PresetBuilder.fromOptions(metadata, options).build()
+  }
+
+  function optionsToUrl(version, options, checksum, seed, baseUrl, compact) {
+    if (options instanceof Preset) {
+      options = encodePreset(options)
+    } else if (compact) {
+      // Use the compact form if it is shorter.
+      const encoded = encodeOptions(options)
+      options = optionsToString(options)
+      if (encoded.length < options.length) {
+        options = encoded
+      }
+    } else {
+      options = optionsToString(options)
+    }
     const args = []
     const releaseBaseUrl = constants.optionsUrls[constants.defaultOptions]
     if (version.match(/-/)) {
@@ -1341,6 +2253,13 @@
         baseUrl = releaseBaseUrl
         args.push(options)
       }
+    } else if (!Object.getOwnPropertyNames(constants.optionsUrls).some(
+      function(preset) {
+        return constants.optionsUrls[preset] === baseUrl
+      }
+    )) {
+      // Other hosts of the web app, such as a local server, need the options.
+      args.push(options)
     }
     if (typeof(checksum) === 'number') {
       args.push(checksum.toString(16))
@@ -1366,31 +2285,47 @@
     url = new URL(url)
     const args = url.search.slice(1).split(',')
     const baseUrl = url.origin + url.pathname
+    let basePreset
     const presets = Object.getOwnPropertyNames(constants.optionsUrls)
     for (let i = 0; i < presets.length; i++) {
       if (constants.optionsUrls[presets[i]] === baseUrl) {
         if (args.length === 1) {
           args.unshift(undefined)
         }
-        args.unshift(presets[i])
+        basePreset = presets[i]
         break
       }
     }
     let options
     let checksum
     let seed
+    let preset
     if (args.length > 2) {
-      options = optionsFromString(args.slice(0, args.length - 2).join(','))
+      // Options in the url replace the preset of the base url, whether they
+      // are readable or encoded.
+      const last = args[args.length - 3]
+      if (last[0] === presetEncodingPrefix) {
+        preset = decodePreset(last)
+        options = preset.options()
+      } else if (last[0] === optionsEncodingPrefix) {
+        options = decodeOptions(last)
+      } else {
+        options = optionsFromString(args.slice(0, args.length - 2).join(','))
+      }
     } else {
-      options = optionsFromString(constants.defaultOptions)
+      options = optionsFromString(basePreset || constants.defaultOptions)
     }
     seed = decodeURIComponent(args.pop())
     checksum = parseInt(args.pop(), 16)
-    return {
+    const result = {
       options: options,
       checksum: checksum,
       seed: seed,
     }
+    if (preset) {
+      result.preset = preset
+    }
+    return result
   }
 
   const map = {
@@ -1446,24 +2381,126 @@
     }
   }
 
-  function setSeedText(data, seed, preset) {
-    const seedRange = {
-      start: 0x04389c6c,
-      length: 31,
+  function readMenuText(file, range) {
+    const bytes = readBytes(file, range.start, range.length)
+    const chars = Object.getOwnPropertyNames(map)
+    let text = ''
+    for (let a = 0; a < bytes.length && bytes[a]; a++) {
+      if (bytes[a] & 0x80) {
+        const val = (bytes[a] << 8) | bytes[++a]
+        text += chars.filter(function(char) {
+          return map[char] === val
+        }).pop() || ''
+      } else {
+        text += String.fromCharCode(bytes[a])
+      }
+    }
+    return text
+  }
+
+  const seedRange = {
+    start: 0x04389c6c,
+    length: 31,
+  }
+
+  const presetRange = {
+    start: 0x04389c8c,
+    length: 20,
+  }
+
+  const seedTextPatches = [
+    [ 0x043930c4, 0x78b4 ],
+    [ 0x043930d4, 0x78d4 ],
+    [ 0x0439312c, 0x78b4 ],
+    [ 0x0439313c, 0x78d4 ],
+  ]
+
+  function setSeedText(data, seed, preset) {
+    for (let i = 0; i < 52; i++) {
+      data.writeChar(0x04389c6c + i, 0)
+    }
+    seedTextPatches.forEach(function(patch) {
+      data.writeShort(patch[0], patch[1])
+    })
+    writeMenuText(data, seed, seedRange)
+    writeMenuText(data, preset || '', presetRange)
+  }
+
+  // The seed menu only has room for one hint, which is shown in place of the
+  // preset name. It is shortened to the relic name and either its zone id,
+  // "req" or "junk".
+  function seedMenuPreset(preset, hints) {
+    if (!hints || !hints.length) {
+      return preset
+    }
+    const hint = hints[0]
+    const name = relicFromAbility(hint.ability).name
+    switch (hint.type) {
+    case constants.HINT.LOCATION:
+      return name + ' ' + hint.zone
+    case constants.HINT.REQUIRED:
+      return name + ' req'
+    case constants.HINT.UNREQUIRED:
+      return name + ' junk'
+    }
+  }
+
+  // Tells a hint written by seedMenuPreset apart from a preset id. Preset ids
+  // have no spaces, so they are never taken for a hint.
+  function isSeedMenuHint(text) {
+    const index = text.lastIndexOf(' ')
+    if (index === -1 || !relicFromName(text.slice(0, index))) {
+      return false
     }
-    const presetRange = {
-      start: 0x04389c8c,
-      length: 20,
+    const suffix = text.slice(index + 1)
+    return suffix === 'req'
+      || suffix === 'junk'
+      || constants.zoneNames.indexOf(suffix) !== -1
+  }
+
+  function getSeedText(file) {
+    return {
+      seed: readMenuText(file, seedRange),
+      preset: readMenuText(file, presetRange),
     }
-    for (let i = 0; i < 52; i++) {
-      data.writeChar(0x04389c6c + i, 0)
+  }
+
+  function isRandomized(file) {
+    // The seed text patches are present in every randomized image.
+    return seedTextPatches.every(function(patch) {
+      const bytes = readBytes(file, patch[0], 2)
+      return (bytes[0] | (bytes[1] << 8)) === patch[1]
+    })
+  }
+
+  // Images are compared against the known vanilla fingerprints, unless a
+  // list of fingerprints is given.
+  function checkVanilla(file, fingerprints) {
+    fingerprints = fingerprints || constants.fingerprints
+    // The image must contain the exe and every zone file.
+    const regions = [constants.exe].concat(constants.zones)
+    const end = regions.reduce(function(end, region) {
+      return Math.max(end, romOffset(region, region.len))
+    }, 0)
+    if (fileSize(file) < end) {
+      throw new errors.UnknownImageError()
+    }
+    if (isRandomized(file)) {
+      throw new errors.RandomizedFileError()
+    }
+    // Compare against known vanilla images.
+    if (fingerprints.length) {
+      const print = fingerprint(file)
+      const known = fingerprints.some(function(vanilla) {
+        return vanilla.exe === print.exe
+          && vanilla.zones.every(function(crc, index) {
+            return print.zones[index] === crc
+          })
+      })
+      if (!known) {
+        throw new errors.UnknownImageError()
+      }
     }
-    data.writeShort(0x043930c4, 0x78b4)
-    data.writeShort(0x043930d4, 0x78d4)
-    data.writeShort(0x0439312c, 0x78b4)
-    data.writeShort(0x0439313c, 0x78d4)
-    writeMenuText(data, seed, seedRange)
-    writeMenuText(data, preset || '', presetRange)
   }
 
   function saltSeed(version, options, seed, nonce) {
@@ -2002,6 +3039,16 @@
     }).pop()
   }
 
+  // Names an enemy the way options strings do. The level is only given if the
+  // bare name resolves to another enemy.
+  function enemyIdString(enemy) {
+    const name = enemy.name.replace(/[^a-zA-Z0-9]/g, '')
+    if (enemyFromIdString(name) !== enemy) {
+      return name + '-' + enemy.level
+    }
+    return name
+  }
+
   function enemyFromIdString(idString) {
     const dashIndex = idString.lastIndexOf('-')
     let enemyName = idString.toLowerCase()
@@ -2034,6 +3081,7 @@
     relicLocations,
     music,
     turkeyMode,
+    hints,
   ) {
     this.id = id
     this.name = name
@@ -2047,6 +3095,7 @@
     this.relicLocations = relicLocations
     this.music = music
     this.turkeyMode = turkeyMode
+    this.hints = hints
   }
 
   function clone(obj) {
@@ -2070,7 +3119,7 @@
         if (Array.isArray(self[prop])) {
           self[prop] = clone(obj[prop])
         } else if (typeof(self[prop]) === 'object') {
-          merge(self[prop], obj[prop])
+          merge.call(self[prop], obj[prop])
         } else {
           self[prop] = clone(obj[prop])
         }
@@ -2083,19 +3132,7 @@
   Preset.options = function options(options) {
     options = clone(options)
     if (options.preset) {
-      let preset = presets().filter(function(preset) {
-        return preset.id === options.preset
-      }).pop()
-      if (!preset && !self) {
-        try {
-          preset = require('./build/presets/' + options.preset)
-        } catch (err) {
-          if (err.code !== 'MODULE_NOT_FOUND') {
-            console.error(err.stack)
-            throw new Error('Error loading preset: ' + options.preset)
-          }
-        }
-      }
+      const preset = presetFromName(options.preset)
       if (!preset) {
         throw new Error('Unknown preset: ' + options.preset)
       }
@@ -2144,6 +3181,8 @@
     this.music = true
     // Turkey mode.
     this.turkey = true
+    // The number of hints of each type.
+    this.hintCounts = false
   }
 
   function locationFromName(name) {
@@ -2154,16 +3193,66 @@
     return name
   }
 
-  function locksFromArray(locks) {
-    return locks.map(function(lock) {
-      return lock.split(/\s*\+\s*/).map(function(name) {
-        return relicFromName(name).ability
-      }).join('')
-    })
+  function nameFromLocation(location) {
+    const relic = relicFromAbility(location)
+    if (relic) {
+      return relic.name
+    }
+    return location
+  }
+
+  // Returns a lock as relic names joined by "+".
+  function lockToString(lock) {
+    return Array.from(lock).map(function(ability) {
+      return relicFromAbility(ability).name
+    }).join(' + ')
+  }
+
+  // Expands a lock of relic and macro names into the locks it stands for. A
+  // macro is a list of locks, which may themselves use other macros.
+  function expandLock(lock, macros, expanding) {
+    return lock.split(/\s*\+\s*/).reduce(function(locks, name) {
+      let alternatives
+      if (Object.prototype.hasOwnProperty.call(macros, name)) {
+        assert(
+          expanding.indexOf(name) === -1,
+          'Circular macro: ' + expanding.concat([name]).join(' > ')
+        )
+        alternatives = macros[name].reduce(function(expanded, lock) {
+          return expanded.concat(
+            expandLock(lock, macros, expanding.concat([name]))
+          )
+        }, [])
+      } else {
+        const relic = relicFromName(name)
+        assert(relic, 'Unknown relic or macro: ' + name)
+        alternatives = [relic.ability]
+      }
+      const combined = []
+      locks.forEach(function(lock) {
+        alternatives.forEach(function(alternative) {
+          combined.push(Array.from(alternative).reduce(function(lock, ability) {
+            return lock.indexOf(ability) === -1 ? lock + ability : lock
+          }, lock))
+        })
+      })
+      return combined
+    }, [''])
+  }
+
+  function locksFromArray(locks, macros) {
+    return locks.reduce(function(expanded, lock) {
+      return expanded.concat(expandLock(lock, macros || {}, []))
+    }, [])
   }
 
   PresetBuilder.fromJSON = function fromJSON(json) {
     const builder = new PresetBuilder(json.metadata)
+    const macros = json.macros || {}
+    Object.getOwnPropertyNames(macros).forEach(function(name) {
+      assert(!relicFromName(name), 'Macro has the name of a relic: ' + name)
+      assert(Array.isArray(macros[name]), 'expected macro to be an array')
+    })
     if ('inherits' in json) {
       builder.inherits(json.inherits)
     }
@@ -2243,43 +3332,73 @@
     if ('lockLocation' in json) {
       json.lockLocation.forEach(function(lockLocation) {
         const location = locationFromName(lockLocation.location)
-        const locks = locksFromArray(lockLocation.locks)
-        builder.lockLocation(location, locks)
+        if ('locks' in lockLocation) {
+          const locks = locksFromArray(lockLocation.locks, macros)
+          builder.lockLocation(location, locks)
+        }
         if ('escapeRequires' in lockLocation) {
-          const escapes = locksFromArray(lockLocation.escapeRequires)
+          const escapes = locksFromArray(lockLocation.escapeRequires, macros)
           builder.escapeRequires(location, escapes)
         }
       })
     }
     if ('placeRelic' in json) {
       json.placeRelic.forEach(function(placeRelic) {
+        const locations = placeRelic.locations || [placeRelic.location]
+        const relics = placeRelic.relics || [placeRelic.relic]
         builder.placeRelic(
-          locationFromName(placeRelic.location),
-          relicFromName(placeRelic.relic).ability,
+          locations.map(locationFromName),
+          relics.map(function(name) {
+            return relicFromName(name).ability
+          }),
         )
       })
     }
+    if ('junkLocations' in json) {
+      json.junkLocations.forEach(function(name) {
+        if (name in constants.ZONE) {
+          builder.junkLocation(name)
+        } else {
+          builder.junkLocation(locationFromName(name))
+        }
+      })
+    }
+    if ('hints' in json) {
+      if (typeof(json.hints) === 'boolean') {
+        builder.hints(json.hints)
+      } else if (Array.isArray(json.hints)) {
+        json.hints.forEach(function(hint) {
+          builder.hints(hint.type, hint.count)
+        })
+      } else {
+        throw new Error('unsupported hints type')
+      }
+    }
     if ('complexityGoal' in json) {
       const args = [json.complexityGoal.min]
       if ('max' in json.complexityGoal) {
         args.push(json.complexityGoal.max)
       }
-      args.push(locksFromArray(json.complexityGoal.goals))
+      args.push(locksFromArray(json.complexityGoal.goals, macros))
       builder.complexityGoal.apply(builder, args)
     }
+    if ('music' in json) {
+      builder.randomizeMusic(json.music)
+    }
+    if ('turkeyMode' in json) {
+      builder.turkeyMode(json.turkeyMode)
+    }
     return builder
   }
 
   PresetBuilder.prototype.inherits = function inherits(id) {
-    let preset
-    if (self) {
-      const presets = self.sotnRando.presets
-      preset = presets.filter(function(preset) {
-        return preset.id === id
-      }).pop()
-    } else {
-      preset = require('./build/presets/' + id)
-    }
+    const preset = presetFromName(id)
+    assert(preset, 'Unknown preset: ' + id)
+    loadOptions.call(this, preset)
+  }
+
+  // Load the options of a preset, or randomizer options, into a builder.
+  function loadOptions(preset) {
     if ('enemyDrops' in preset) {
       if (typeof(preset.enemyDrops) === 'object') {
         const self = this
@@ -2390,7 +3509,12 @@
               self.target.max = parseInt(parts[1])
             }
           } else if (location === 'placed') {
-            self.locations.placed = self.locations[location]
+            self.locations.placed = Object.assign(
+              {},
+              preset.relicLocations.placed,
+            )
+          } else if (location === 'junk') {
+            self.locations.junk = preset.relicLocations.junk.slice()
           } else {
             // Break the lock into access locks and escape requirements.
             const locks = self.locations[location] || []
@@ -2416,12 +3540,35 @@
     if ('turkeyMode' in preset) {
       this.turkey = preset.turkeyMode
     }
+    if ('hints' in preset) {
+      if (typeof(preset.hints) === 'object') {
+        this.hintCounts = Object.assign({}, preset.hints)
+      } else {
+        this.hintCounts = preset.hints
+      }
+    }
+  }
+
+  // Create a builder from randomizer options. Options that are not given are
+  // disabled, rather than left at the builder defaults.
+  PresetBuilder.fromOptions = function fromOptions(metadata, options) {
+    const builder = new PresetBuilder(metadata)
+    builder.drops = false
+    builder.equipment = false
+    builder.items = false
+    builder.rewards = false
+    builder.locations = false
+    builder.extension = false
+    builder.music = false
+    builder.turkey = false
+    loadOptions.call(builder, Preset.options(options))
+    return builder
   }
 
   PresetBuilder.prototype.enemyDrops =
     function enemyDrops(enemyName, level, commonDropName, rareDropName) {
-      if (typeof(enemy) === 'boolean') {
-        this.drops = enemy
+      if (typeof(enemyName) === 'boolean') {
+        this.drops = enemyName
       } else {
         const args = Array.prototype.slice.call(arguments)
         if (typeof(this.drops) !== 'object') {
@@ -2650,8 +3797,15 @@
       }))
     }
 
-  // Place a relic at a location.
+  // Place a relic at a location. Several locations and relics may be given,
+  // in which case the relics are placed at any of the locations.
   PresetBuilder.prototype.placeRelic = function placeRelic(where, what) {
+    if (Array.isArray(where)) {
+      where = where.join('-')
+    }
+    if (Array.isArray(what)) {
+      what = what.join('')
+    }
     assert.equal(typeof(where), 'string')
     assert.equal(typeof(what), 'string')
     if (typeof(this.locations) !== 'object') {
@@ -2661,6 +3815,29 @@
     this.locations.placed[where] = what
   }
 
+  // Only place non-progression relics and items at a location, or at every
+  // location in a zone.
+  PresetBuilder.prototype.junkLocation = function junkLocation(where) {
+    assert.equal(typeof(where), 'string')
+    const locations = relics.concat(extension).map(function(location) {
+      if (typeof(location.ability) === 'string') {
+        return location.ability
+      }
+      return location.name
+    })
+    assert(
+      where in constants.ZONE || locations.indexOf(where) !== -1,
+      'Unknown relic location or zone: ' + where
+    )
+    if (typeof(this.locations) !== 'object') {
+      this.locations = {}
+    }
+    this.locations.junk = this.locations.junk || []
+    if (this.locations.junk.indexOf(where) === -1) {
+      this.locations.junk.push(where)
+    }
+  }
+
   // Enable/disable relic location randomization.
   PresetBuilder.prototype.relicLocations = function relicLocations(enabled) {
     assert.equal(typeof(enabled), 'boolean')
@@ -2687,6 +3864,9 @@
         return typeof(lock) === 'string'
       }), 'expected goal to be an array of strings')
       assert(Array.isArray(goal), 'expected goal to be an array of strings')
+      if (typeof(this.locations) !== 'object') {
+        this.locations = {}
+      }
       this.goal = goal.map(function(lock) {
         return new Set(lock)
       })
@@ -2698,6 +3878,40 @@
       }
     }
 
+  // Enable/disable hints, or set the number of hints of a type.
+  PresetBuilder.prototype.hints = function hints(type, count) {
+    if (typeof(type) === 'boolean') {
+      this.hintCounts = type
+    } else {
+      const types = Object.getOwnPropertyNames(constants.HINT).map(
+        function(key) {
+          return constants.HINT[key]
+        }
+      )
+      assert.oneOf(type, types, 'Unknown hint type: ' + type)
+      assert(
+        Number.isInteger(count) && count >= 0,
+        'expected count to be a non-negative integer'
+      )
+      if (typeof(this.hintCounts) !== 'object') {
+        this.hintCounts = {}
+      }
+      this.hintCounts[type] = count
+    }
+  }
+
+  // Enable/disable music randomization.
+  PresetBuilder.prototype.randomizeMusic = function randomizeMusic(enabled) {
+    assert.equal(typeof(enabled), 'boolean')
+    this.music = enabled
+  }
+
+  // Enable/disable turkey mode.
+  PresetBuilder.prototype.turkeyMode = function turkeyMode(enabled) {
+    assert.equal(typeof(enabled), 'boolean')
+    this.turkey = enabled
+  }
+
   // Enable guarded relic locations.
   PresetBuilder.prototype.relicLocationsExtension =
     function relicLocationsExtension(extension) {
@@ -2718,13 +3932,7 @@
         } else if (enemy === constants.GLOBAL_DROP) {
           enemyName = enemy
         } else {
-          enemyName = enemy.name
-          const amb = enemies.filter(function(enemy) {
-            return enemy.name === enemyName
-          })
-          if (amb.length > 1 && enemy !== amb[0]) {
-            enemyName += '-' + enemy.level
-          }
+          enemyName = enemyIdString(enemy)
         }
         drops[enemyName] = self.drops.get(enemy).slice().map(function(item) {
           return item ? item.name : undefined
@@ -2780,7 +3988,7 @@
       })
     }
     let relicLocations = self.locations
-    if (typeof(relics) === 'object') {
+    if (typeof(relicLocations) === 'object') {
       relicLocations = {}
       relics.concat(extension).map(function(location) {
         if (typeof(location.ability) === 'string') {
@@ -2806,6 +4014,9 @@
       if (self.locations.placed) {
         relicLocations.placed = self.locations.placed
       }
+      if (self.locations.junk) {
+        relicLocations.junk = self.locations.junk.slice()
+      }
       if (self.goal) {
         let target = self.target.min.toString()
         if ('max' in self.target) {
@@ -2821,6 +4032,10 @@
     }
     const music = self.music
     const turkey = self.turkey
+    let hints = self.hintCounts
+    if (typeof(hints) === 'object') {
+      hints = Object.assign({}, hints)
+    }
     return new Preset(
       self.metadata.id,
       self.metadata.name,
@@ -2834,9 +4049,177 @@
       relicLocations,
       music,
       turkey,
+      hints,
     )
   }
 
+  // Create the preset file JSON of the current configuration, which
+  // PresetBuilder.fromJSON() turns back into the same configuration.
+  PresetBuilder.prototype.toJSON = function toJSON() {
+    const self = this
+    const json = {
+      metadata: Object.assign({}, self.metadata),
+    }
+    json.enemyDrops = self.drops
+    if (typeof(self.drops) === 'object') {
+      json.enemyDrops = Array.from(self.drops.keys()).map(function(enemy) {
+        const enemyDrop = {}
+        if (typeof(enemy) === 'object') {
+          enemyDrop.enemy = enemy.name
+          const amb = enemies.filter(function(other) {
+            return other.name === enemy.name
+          })
+          if (amb.length > 1) {
+            enemyDrop.level = enemy.level
+          }
+        } else {
+          enemyDrop.enemy = enemy
+        }
+        enemyDrop.items = self.drops.get(enemy).map(function(item) {
+          return item ? item.name : null
+        })
+        return enemyDrop
+      })
+    }
+    json.startingEquipment = self.equipment
+    if (typeof(self.equipment) === 'object') {
+      const slotNames = {
+        'r': 'Right hand',
+        'l': 'Left hand',
+        'h': 'Head',
+        'b': 'Body',
+        'c': 'Cloak',
+        'o': 'Other',
+        'a': 'AxeArmor',
+        'x': 'Luck Mode',
+      }
+      const slots = Object.getOwnPropertyNames(self.equipment)
+      json.startingEquipment = slots.map(function(slot) {
+        const item = self.equipment[slot]
+        return {
+          slot: slotNames[slot],
+          item: item ? item.name : null,
+        }
+      })
+    }
+    json.itemLocations = self.items
+    if (typeof(self.items) === 'object') {
+      json.itemLocations = []
+      Object.getOwnPropertyNames(self.items).forEach(function(zone) {
+        Array.from(self.items[zone].keys()).forEach(function(item) {
+          const indexes = self.items[zone].get(item)
+          Object.getOwnPropertyNames(indexes).forEach(function(index) {
+            json.itemLocations.push({
+              zone: zone,
+              item: item === '*' ? '*' : item.name,
+              index: parseInt(index) + 1,
+              replacement: indexes[index].name,
+            })
+          })
+        })
+      })
+    }
+    json.prologueRewards = self.rewards
+    if (typeof(self.rewards) === 'object') {
+      const rewardNames = {
+        'h': 'Heart Refresh',
+        'n': 'Neutron Bomb',
+        'p': 'Potion',
+      }
+      const rewards = Object.getOwnPropertyNames(self.rewards)
+      json.prologueRewards = rewards.map(function(reward) {
+        const item = self.rewards[reward]
+        return {
+          item: rewardNames[reward],
+          replacement: item ? item.name : null,
+        }
+      })
+    }
+    if (typeof(self.locations) === 'object') {
+      json.relicLocationsExtension = self.extension
+      json.lockLocation = []
+      relics.concat(extension).map(function(location) {
+        if (typeof(location.ability) === 'string') {
+          return location.ability
+        }
+        return location.name
+      }).forEach(function(location) {
+        const locks = self.locations[location] || []
+        const escapes = self.escapes[location] || []
+        if (!locks.length && !escapes.length) {
+          return
+        }
+        const lockLocation = {
+          location: nameFromLocation(location),
+        }
+        if (locks.length) {
+          lockLocation.locks = locks.map(lockToString)
+        }
+        if (escapes.length) {
+          lockLocation.escapeRequires = escapes.map(lockToString)
+        }
+        json.lockLocation.push(lockLocation)
+      })
+      if (self.locations.placed) {
+        const placed = self.locations.placed
+        json.placeRelic = Object.getOwnPropertyNames(placed).map(
+          function(where) {
+            const locations = where.split('-').map(nameFromLocation)
+            const abilities = Array.from(placed[where])
+            const relicNames = abilities.map(function(ability) {
+              return relicFromAbility(ability).name
+            })
+            const placeRelic = {}
+            if (locations.length === 1) {
+              placeRelic.location = locations[0]
+            } else {
+              placeRelic.locations = locations
+            }
+            if (relicNames.length === 1) {
+              placeRelic.relic = relicNames[0]
+            } else {
+              placeRelic.relics = relicNames
+            }
+            return placeRelic
+          }
+        )
+      }
+      if (self.locations.junk) {
+        json.junkLocations = self.locations.junk.map(function(where) {
+          if (where in constants.ZONE) {
+            return where
+          }
+          return nameFromLocation(where)
+        })
+      }
+    } else {
+      json.relicLocations = self.locations
+    }
+    json.hints = self.hintCounts
+    if (typeof(self.hintCounts) === 'object') {
+      json.hints = Object.getOwnPropertyNames(self.hintCounts).map(
+        function(type) {
+          return {
+            type: type,
+            count: self.hintCounts[type],
+          }
+        }
+      )
+    }
+    if (typeof(self.locations) === 'object' && self.goal) {
+      json.complexityGoal = {
+        min: self.target.min,
+      }
+      if ('max' in self.target) {
+        json.complexityGoal.max = self.target.max
+      }
+      json.complexityGoal.goals = self.goal.map(lockToString)
+    }
+    json.music = self.music
+    json.turkeyMode = self.turkey
+    return json
+  }
+
   function addEventListener(event, listener) {
     if ('addEventListener' in this) {
       this.addEventListener(event, listener)
@@ -2845,6 +4228,14 @@
     }
   }
 
+  function removeEventListener(event, listener) {
+    if ('removeEventListener' in this) {
+      this.removeEventListener(event, listener)
+    } else {
+      this.off(event, listener)
+    }
+  }
+
   function loadWorker(worker, url) {
     worker.postMessage({
       url: url,
@@ -2867,6 +4258,7 @@
     const promises = Array(workers.length)
     const running = Array(workers.length).fill(true)
     let done
+    let failure
     for (let i = 0; i < workers.length; i++) {
       const thread = i
       const worker = workers[i]
@@ -2889,18 +4281,24 @@
         worker.postMessage(JSON.stringify(message))
       }
       promises[i] = new Promise(function(resolve) {
-        addEventListener.call(worker, 'message', function(result) {
+        addEventListener.call(worker, 'message', function listener(result) {
           if (self) {
             result = result.data
           }
           result = JSON.parse(result)
           if (result.error && typeof(result.error) !== 'boolean') {
-            const error = new Error(result.error.message)
-            error.name = result.error.name
-            error.stack = result.error.stack
-            throw error
-          } else if (done || result.done) {
+            // Unexpected errors fail the seed once every worker has stopped.
+            if (!failure) {
+              failure = new Error(result.error.message)
+              failure.name = result.error.name
+              failure.stack = result.error.stack
+            }
+            done = true
+          }
+          if (done || result.done) {
             done = true
+            // Workers may be reused for later seeds.
+            removeEventListener.call(worker, 'message', listener)
             resolve(result)
             running[thread] = false
             worker.postMessage(JSON.stringify({
@@ -2915,6 +4313,9 @@
       })
     }
     return Promise.all(promises).then(function(results) {
+      if (failure) {
+        throw failure
+      }
       const result = results.reduce(function(candidate, result, index) {
         if (!candidate || 'error' in candidate) {
           return result
@@ -2942,10 +4343,11 @@
   ) {
     loadWorker(worker, url)
     return new Promise(function(resolve, reject) {
-      addEventListener.call(worker, 'message', function(result) {
+      addEventListener.call(worker, 'message', function listener(result) {
         if (self) {
           result = result.data
         }
+        removeEventListener.call(worker, 'message', listener)
         if (result.error) {
           reject(result.error)
         } else {
@@ -2969,15 +4371,17 @@
     file,
     data,
     checksum,
+    metadata,
     worker,
     url,
   ) {
     loadWorker(worker, url)
     return new Promise(function(resolve, reject) {
-      addEventListener.call(worker, 'message', function(result) {
+      addEventListener.call(worker, 'message', function listener(result) {
         if (self) {
           result = result.data
         }
+        removeEventListener.call(worker, 'message', listener)
         if (result.error) {
           reject(result.error)
         } else {
@@ -2991,6 +4395,7 @@
         file: file,
         data: data,
         checksum: checksum,
+        metadata: metadata,
         url: url,
       }, [file])
     })
@@ -3146,7 +4551,7 @@
     return lines
   }
 
-  function renderSolutions(solutions, indentLevel) {
+  function simplifiedSolutions(solutions) {
     const minified = solutions.reduce(minifySolution, {
       depth: 0,
       weight: 0,
@@ -3154,7 +4559,11 @@
     minified.requirements.forEach(function(node) {
       pruneSubsets(node)
     })
-    const simplified = minified.requirements.map(simplifySolution)
+    return minified.requirements.map(simplifySolution)
+  }
+
+  function renderSolutions(solutions, indentLevel) {
+    const simplified = simplifiedSolutions(solutions)
     const collapsed = simplified.map(collapseSolution)
     const render = renderNode.bind(null, 0, false)
     return collapsed.map(render).reduce(function(lines, node) {
@@ -3163,6 +4572,236 @@
     }, [])
   }
 
+  function renderSpheres(spheres) {
+    return spheres.map(function(sphere, index) {
+      return 'Sphere ' + index + ': ' + sphere.map(function(ability) {
+        return relicFromAbility(ability).name
+      }).join(', ')
+    })
+  }
+
+  function solutionNode(node) {
+    return {
+      ability: node.item,
+      requires: (node.solution || []).map(solutionNode),
+    }
+  }
+
+  function solutionTree(solutions) {
+    return simplifiedSolutions(solutions).map(solutionNode)
+  }
+
+  function tileKind(tile) {
+    if (dropTileFilter(tile)) {
+      return 'drop'
+    } else if (shopTileFilter(tile)) {
+      return 'shop'
+    } else if (rewardTileFilter(tile)) {
+      return 'reward'
+    } else if (tankTileFilter(tile)) {
+      return 'tank'
+    } else if (candleTileFilter(tile)) {
+      return 'candle'
+    }
+    return 'map'
+  }
+
+  function dropEnemy(tile) {
+    if (tile.librarian || tile.enemy === constants.GLOBAL_DROP) {
+      return
+    }
+    return enemies.filter(function(enemy) {
+      return enemy.id === tile.enemy
+    })[0]
+  }
+
+  // Item locations are named after the item found there in the vanilla game
+  // and the room it is in.
+  function tileLocation(vanilla, tile) {
+    let location = constants.zoneLongNames[tile.zones[0]]
+    if ('room' in tile) {
+      location += ', room ' + tile.room
+    }
+    return vanilla.name + ' (' + location + ')'
+  }
+
+  function enemyName(enemy) {
+    const duplicate = enemies.some(function(other) {
+      return other !== enemy && other.name === enemy.name
+    })
+    if (duplicate) {
+      return enemy.name + ' (level ' + enemy.level + ')'
+    }
+    return enemy.name
+  }
+
+  function dropSource(tile) {
+    if (tile.librarian) {
+      return 'Librarian'
+    } else if (tile.enemy === constants.GLOBAL_DROP) {
+      return constants.GLOBAL_DROP
+    }
+    return enemyName(dropEnemy(tile))
+  }
+
+  // Drop placements sorted by their order in the enemy's drop table.
+  function sortedDrops(tile, drops) {
+    const enemy = dropEnemy(tile)
+    return drops.sort(function(a, b) {
+      if (enemy) {
+        return enemy.dropAddresses.indexOf(a.tile.addresses[0])
+          - enemy.dropAddresses.indexOf(b.tile.addresses[0])
+      }
+      return a.tile.addresses[0] - b.tile.addresses[0]
+    })
+  }
+
+  function groupDrops(placements) {
+    const drops = {}
+    placements.filter(function(placement) {
+      if (tileKind(placement.tile) !== 'drop') {
+        return false
+      }
+      // Copies of an enemy's drop table are not listed again.
+      const enemy = dropEnemy(placement.tile)
+      return !enemy
+        || enemy.dropAddresses.indexOf(placement.tile.addresses[0]) !== -1
+    }).forEach(function(placement) {
+      const key = dropSource(placement.tile)
+      drops[key] = drops[key] || []
+      drops[key].push(placement)
+    })
+    Object.getOwnPropertyNames(drops).forEach(function(key) {
+      sortedDrops(drops[key][0].tile, drops[key])
+    })
+    return drops
+  }
+
+  function renderPlacements(placements) {
+    const info = newInfo()
+    const lists = {
+      'map': 'Item locations',
+      'candle': 'Candles',
+      'tank': 'Subweapon tanks',
+      'shop': 'Shop items',
+      'reward': 'Prologue rewards',
+    }
+    Object.getOwnPropertyNames(lists).forEach(function(kind) {
+      const lines = placements.filter(function(placement) {
+        return tileKind(placement.tile) === kind
+      }).map(function(placement) {
+        const vanilla = placement.vanilla
+        let location
+        switch (kind) {
+        case 'shop':
+          location = vanilla.name + ' (Shop)'
+          break
+        case 'reward':
+          location = vanilla.name + ' (Prologue)'
+          break
+        default:
+          location = tileLocation(vanilla, placement.tile)
+          break
+        }
+        return placement.item.name + ' at ' + location
+      })
+      if (lines.length) {
+        info[5][lists[kind]] = lines.sort()
+      }
+    })
+    const drops = groupDrops(placements)
+    const keys = Object.getOwnPropertyNames(drops)
+    if (keys.length) {
+      info[5]['Enemy drops'] = keys.sort().map(function(key) {
+        return key + ': ' + drops[key].map(function(drop) {
+          return drop.item.name
+        }).join(', ')
+      })
+    }
+    return info
+  }
+
+  function spoilerData(seed, options, checksum, relics, items) {
+    // Every key is present, with null for anything that was not randomized.
+    const spoiler = {
+      seed: seed,
+      options: optionsToString(options),
+      checksum: checksum ? checksum.toString(16) : null,
+      relics: null,
+      solutions: null,
+      complexity: null,
+      spheres: null,
+      hints: null,
+      equipment: null,
+      items: null,
+      drops: null,
+    }
+    if (relics && relics.mapping) {
+      spoiler.relics = {}
+      Object.getOwnPropertyNames(relics.mapping).filter(function(ability) {
+        return !!relicFromAbility(ability)
+      }).sort().forEach(function(ability) {
+        spoiler.relics[ability] = relics.mapping[ability].id
+      })
+      if (relics.solutionTree) {
+        spoiler.solutions = relics.solutionTree
+        spoiler.complexity = relics.depth
+      }
+      if (relics.spheres) {
+        spoiler.spheres = relics.spheres
+      }
+      if (relics.hints) {
+        spoiler.hints = relics.hints
+      }
+    }
+    if (items && items.equipment) {
+      spoiler.equipment = {}
+      Object.getOwnPropertyNames(items.equipment).forEach(function(slot) {
+        const item = items.equipment[slot]
+        spoiler.equipment[slot] = item ? item.name : null
+      })
+    }
+    if (items && items.placements) {
+      spoiler.items = items.placements.filter(function(placement) {
+        return tileKind(placement.tile) !== 'drop'
+      }).map(function(placement) {
+        const tile = placement.tile
+        return {
+          item: placement.item.name,
+          kind: tileKind(tile),
+          zone: tile.zones ? constants.zoneNames[tile.zones[0]] : null,
+          zoneName: tile.zones ? constants.zoneLongNames[tile.zones[0]] : null,
+          room: 'room' in tile ? tile.room : null,
+          vanilla: placement.vanilla.name,
+        }
+      }).sort(function(a, b) {
+        const keys = ['kind', 'zone', 'vanilla', 'item']
+        for (let i = 0; i < keys.length; i++) {
+          const x = String(a[keys[i]])
+          const y = String(b[keys[i]])
+          if (x !== y) {
+            return x < y ? -1 : 1
+          }
+        }
+        return 0
+      })
+      const drops = groupDrops(items.placements)
+      spoiler.drops = Object.getOwnPropertyNames(drops).sort().map(
+        function(key) {
+          const enemy = dropEnemy(drops[key][0].tile)
+          return {
+            enemy: enemy ? enemy.name : key,
+            level: enemy ? enemy.level : null,
+            items: drops[key].map(function(drop) {
+              return drop.item.name
+            }),
+          }
+        }
+      )
+    }
+    return spoiler
+  }
+
   const exports = {
     assert: assert,
     shopTileFilter: shopTileFilter,
@@ -3181,6 +4820,8 @@
     tileData: tileData,
     entityData: entityData,
     romOffset: romOffset,
+    crc32: crc32,
+    fingerprint: fingerprint,
     bufToHex: bufToHex,
     numToHex: numToHex,
     checked: checked,
@@ -3188,7 +4829,15 @@
     optionsToString: optionsToString,
     optionsFromUrl: optionsFromUrl,
     optionsToUrl: optionsToUrl,
+    encodeOptions: encodeOptions,
+    encodePreset: encodePreset,
+    decodePreset: decodePreset,
     setSeedText: setSeedText,
+    seedMenuPreset: seedMenuPreset,
+    isSeedMenuHint: isSeedMenuHint,
+    getSeedText: getSeedText,
+    isRandomized: isRandomized,
+    checkVanilla: checkVanilla,
     saltSeed: saltSeed,
     restoreFile: restoreFile,
     formatObject: formatObject,
@@ -3205,12 +4854,17 @@
     relicFromName: relicFromName,
     relicFromAbility: relicFromAbility,
     enemyFromIdString: enemyFromIdString,
+    presetFromName: presetFromName,
     Preset: Preset,
     PresetBuilder: PresetBuilder,
     randomizeRelics: randomizeRelics,
     randomizeItems: randomizeItems,
     finalizeData: finalizeData,
     renderSolutions: renderSolutions,
+    renderSpheres: renderSpheres,
+    renderPlacements: renderPlacements,
+    solutionTree: solutionTree,
+    spoilerData: spoilerData,
     workerCountFromCores: workerCountFromCores,
   }
   if (self) {
@@ -0,0 +1,561 @@
+(function(self) {
+
+  let constants
+  let enemies
+  let extension
+  let items
+  let relics
+
+  if (self) {
+    constants = self.sotnRando.constants
+    enemies = self.sotnRando.enemies
+    extension = self.sotnRando.extension
+    items = self.sotnRando.items
+    relics = self.sotnRando.relics
+  } else {
+    constants = require('./constants')
+    enemies = require('./enemies')
+    extension = require('./extension')
+    items = require('./items')
+    relics = require('./relics')
+  }
+
+  function unique(names) {
+    return names.filter(function(name, index) {
+      return names.indexOf(name) === index
+    })
+  }
+
+  function values(obj) {
+    return Object.getOwnPropertyNames(obj).map(function(key) {
+      return obj[key]
+    })
+  }
+
+  const relicNames = relics.map(function(relic) {
+    return relic.name
+  })
+  const locationNames = relicNames.concat(extension.map(function(location) {
+    return location.name
+  }))
+  const itemNames = unique(items.map(function(item) {
+    return item.name
+  }))
+  const enemyNames = unique(enemies.map(function(enemy) {
+    return enemy.name
+  }))
+  const zoneNames = constants.zoneNames.slice()
+  const slotNames = [
+    'Right hand',
+    'Left hand',
+    'Head',
+    'Body',
+    'Cloak',
+    'Other',
+    'AxeArmor',
+    'Luck Mode',
+  ]
+  const rewardNames = ['Heart Refresh', 'Neutron Bomb', 'Potion']
+
+  // Objects may have comments.
+  const comments = {
+    '^comments?$': {},
+  }
+
+  // Properties that are either toggled or given as a list.
+  function toggleOrList(item) {
+    return {
+      type: ['boolean', 'array'],
+      items: item,
+    }
+  }
+
+  // The JSON Schema of preset files. Locks have the custom "lock" format,
+  // which is relic or macro names joined by "+".
+  const schema = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: 'SotN Randomizer preset',
+    type: 'object',
+    required: ['metadata'],
+    properties: {
+      metadata: {
+        type: 'object',
+        required: ['id', 'name', 'description', 'author'],
+        properties: {
+          id: {type: 'string', pattern: '^[a-z0-9-]+$'},
+          name: {type: 'string'},
+          description: {type: 'string'},
+          author: {type: 'string'},
+          weight: {type: 'number'},
+        },
+        patternProperties: comments,
+        additionalProperties: false,
+      },
+      inherits: {type: 'string'},
+      macros: {
+        type: 'object',
+        additionalProperties: {$ref: '#/definitions/locks'},
+      },
+      enemyDrops: toggleOrList({
+        type: 'object',
+        required: ['enemy', 'items'],
+        properties: {
+          enemy: {
+            title: 'enemy',
+            type: 'string',
+            enum: ['*', constants.GLOBAL_DROP].concat(enemyNames),
+          },
+          level: {type: 'integer', minimum: 0},
+          items: {
+            type: 'array',
+            items: {$ref: '#/definitions/itemOrNothing'},
+          },
+        },
+        patternProperties: comments,
+        additionalProperties: false,
+      }),
+      startingEquipment: toggleOrList({
+        type: 'object',
+        required: ['slot'],
+        properties: {
+          slot: {title: 'slot', type: 'string', enum: slotNames},
+          item: {$ref: '#/definitions/itemOrNothing'},
+        },
+        patternProperties: comments,
+        additionalProperties: false,
+      }),
+      itemLocations: toggleOrList({
+        type: 'object',
+        required: ['zone', 'item', 'replacement'],
+        properties: {
+          zone: {
+            title: 'zone',
+            type: 'string',
+            enum: ['*'].concat(zoneNames),
+          },
+          item: {
+            title: 'item',
+            type: 'string',
+            enum: ['*'].concat(itemNames),
+          },
+          index: {type: 'integer', minimum: 1},
+          replacement: {$ref: '#/definitions/item'},
+        },
+        patternProperties: comments,
+        additionalProperties: false,
+      }),
+      prologueRewards: toggleOrList({
+        type: 'object',
+        required: ['item', 'replacement'],
+        properties: {
+          item: {title: 'reward item', type: 'string', enum: rewardNames},
+          replacement: {$ref: '#/definitions/itemOrNothing'},
+        },
+        patternProperties: comments,
+        additionalProperties: false,
+      }),
+      relicLocations: {type: 'boolean'},
+      relicLocationsExtension: {
+        title: 'extension',
+        type: ['boolean', 'string'],
+        enum: [true, false].concat(values(constants.EXTENSION)),
+      },
+      lockLocation: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['location'],
+          properties: {
+            location: {$ref: '#/definitions/location'},
+            locks: {$ref: '#/definitions/locks'},
+            escapeRequires: {$ref: '#/definitions/locks'},
+          },
+          patternProperties: comments,
+          additionalProperties: false,
+        },
+      },
+      placeRelic: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            location: {$ref: '#/definitions/location'},
+            locations: {
+              type: 'array',
+              minItems: 1,
+              items: {$ref: '#/definitions/location'},
+            },
+            relic: {$ref: '#/definitions/relic'},
+            relics: {
+              type: 'array',
+              minItems: 1,
+              items: {$ref: '#/definitions/relic'},
+            },
+          },
+          patternProperties: comments,
+          additionalProperties: false,
+        },
+      },
+      junkLocations: {
+        type: 'array',
+        items: {
+          title: 'relic location or zone',
+          type: 'string',
+          enum: locationNames.concat(zoneNames),
+        },
+      },
+      hints: toggleOrList({
+        type: 'object',
+        required: ['type', 'count'],
+        properties: {
+          type: {
+            title: 'hint type',
+            type: 'string',
+            enum: values(constants.HINT),
+          },
+          count: {type: 'integer', minimum: 0},
+        },
+        patternProperties: comments,
+        additionalProperties: false,
+      }),
+      complexityGoal: {
+        type: 'object',
+        required: ['min', 'goals'],
+        properties: {
+          min: {type: 'integer', minimum: 0},
+          max: {type: 'integer', minimum: 0},
+          goals: {$ref: '#/definitions/locks'},
+        },
+        patternProperties: comments,
+        additionalProperties: false,
+      },
+      music: {type: 'boolean'},
+      turkeyMode: {type: 'boolean'},
+    },
+    patternProperties: comments,
+    additionalProperties: false,
+    definitions: {
+      item: {title: 'item', type: 'string', enum: itemNames},
+      itemOrNothing: {
+        title: 'item',
+        type: ['string', 'null'],
+        enum: itemNames.concat([null]),
+      },
+      relic: {title: 'relic', type: 'string', enum: relicNames},
+      location: {
+        title: 'relic location',
+        type: 'string',
+        enum: locationNames,
+      },
+      lock: {type: 'string', format: 'lock'},
+      locks: {
+        type: 'array',
+        minItems: 1,
+        items: {$ref: '#/definitions/lock'},
+      },
+    },
+  }
+
+  // Returns the number of edits that turn one string into another.
+  function distance(a, b) {
+    let row = Array.from(Array(b.length + 1).keys())
+    for (let i = 1; i <= a.length; i++) {
+      const next = [i]
+      for (let j = 1; j <= b.length; j++) {
+        next[j] = Math.min(
+          row[j] + 1,
+          next[j - 1] + 1,
+          row[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+        )
+      }
+      row = next
+    }
+    return row[b.length]
+  }
+
+  // Returns the names that are close to a misspelled name.
+  function suggestions(name, names) {
+    if (typeof(name) !== 'string') {
+      return []
+    }
+    const lower = name.toLowerCase()
+    return names.filter(function(candidate) {
+      return typeof(candidate) === 'string'
+    }).map(function(candidate) {
+      return {
+        name: candidate,
+        distance: distance(lower, candidate.toLowerCase()),
+      }
+    }).filter(function(candidate) {
+      return candidate.distance <= Math.max(2, Math.floor(name.length / 4))
+    }).sort(function(a, b) {
+      return a.distance - b.distance
+    }).slice(0, 3).map(function(candidate) {
+      return candidate.name
+    })
+  }
+
+  function typeOf(value) {
+    if (value === null) {
+      return 'null'
+    }
+    if (Array.isArray(value)) {
+      return 'array'
+    }
+    if (typeof(value) === 'number' && Number.isInteger(value)) {
+      return 'integer'
+    }
+    return typeof(value)
+  }
+
+  function matchesType(value, type) {
+    const actual = typeOf(value)
+    return actual === type || (type === 'number' && actual === 'integer')
+  }
+
+  function pathTo(path, key) {
+    if (typeof(key) === 'number') {
+      return path + '[' + key + ']'
+    }
+    if (/^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(key)) {
+      return path + '.' + key
+    }
+    return path + '[' + JSON.stringify(key) + ']'
+  }
+
+  function Validator(json) {
+    this.errors = []
+    this.macros = {}
+    if (typeOf(json) === 'object' && typeOf(json.macros) === 'object') {
+      this.macros = json.macros
+    }
+  }
+
+  Validator.prototype.error = function error(path, value, message, names) {
+    const error = {
+      path: path,
+      value: value,
+      message: message,
+    }
+    if (names) {
+      error.suggestions = suggestions(value, names)
+    }
+    this.errors.push(error)
+  }
+
+  Validator.prototype.resolve = function resolve(node) {
+    while (node.$ref) {
+      node = node.$ref.split('/').slice(1).reduce(function(node, key) {
+        return node[key]
+      }, schema)
+    }
+    return node
+  }
+
+  Validator.prototype.check = function check(node, value, path) {
+    const self = this
+    node = this.resolve(node)
+    if (node.type) {
+      const types = [].concat(node.type)
+      if (!types.some(matchesType.bind(null, value))) {
+        this.error(path, value, 'Expected ' + types.join(' or ')
+                   + ' but found ' + typeOf(value))
+        return
+      }
+    }
+    if (node.enum && node.enum.indexOf(value) === -1) {
+      const names = node.enum.filter(function(name) {
+        return typeof(name) === 'string'
+      })
+      this.error(
+        path,
+        value,
+        'Unknown ' + (node.title || 'value') + ' ' + JSON.stringify(value),
+        names,
+      )
+      return
+    }
+    if (typeof(value) === 'string') {
+      if (node.pattern && !new RegExp(node.pattern).test(value)) {
+        this.error(path, value, 'Expected a value matching ' + node.pattern)
+      }
+      if (node.format === 'lock') {
+        this.checkLock(value, path, [])
+      }
+    } else if (typeof(value) === 'number') {
+      if ('minimum' in node && value < node.minimum) {
+        this.error(path, value, 'Expected a value of at least ' + node.minimum)
+      }
+    } else if (Array.isArray(value)) {
+      if ('minItems' in node && value.length < node.minItems) {
+        this.error(path, value, 'Expected at least ' + node.minItems
+                   + ' item' + (node.minItems === 1 ? '' : 's'))
+      }
+      if (node.items) {
+        value.forEach(function(item, index) {
+          self.check(node.items, item, pathTo(path, index))
+        })
+      }
+    } else if (typeOf(value) === 'object') {
+      (node.required || []).forEach(function(key) {
+        if (!(key in value)) {
+          self.error(path, value, 'Missing property ' + JSON.stringify(key))
+        }
+      })
+      const properties = node.properties || {}
+      const patterns = Object.getOwnPropertyNames(node.patternProperties || {})
+      Object.getOwnPropertyNames(value).forEach(function(key) {
+        if (key in properties) {
+          self.check(properties[key], value[key], pathTo(path, key))
+        } else if (patterns.some(function(pattern) {
+          return new RegExp(pattern).test(key)
+        })) {
+          return
+        } else if (node.additionalProperties === false) {
+          self.error(
+            pathTo(path, key),
+            key,
+            'Unknown property ' + JSON.stringify(key),
+            Object.getOwnPropertyNames(properties),
+          )
+        } else if (typeof(node.additionalProperties) === 'object') {
+          self.check(node.additionalProperties, value[key], pathTo(path, key))
+        }
+      })
+    }
+  }
+
+  // Locks are relic or macro names joined by "+". Macros may use other
+  // macros, but not themselves.
+  Validator.prototype.checkLock = function checkLock(lock, path, expanding) {
+    const self = this
+    lock.split(/\s*\+\s*/).forEach(function(name) {
+      if (relicNames.indexOf(name) !== -1) {
+        return
+      }
+      if (!Object.prototype.hasOwnProperty.call(self.macros, name)) {
+        self.error(
+          path,
+          name,
+          'Unknown relic or macro ' + JSON.stringify(name),
+          relicNames.concat(Object.getOwnPropertyNames(self.macros)),
+        )
+      } else if (expanding.indexOf(name) !== -1) {
+        self.error(path, lock, 'Circular macro: '
+                   + expanding.concat([name]).join(' > '))
+      } else if (Array.isArray(self.macros[name])) {
+        self.macros[name].forEach(function(lock) {
+          if (typeof(lock) === 'string') {
+            self.checkLock(lock, path, expanding.concat([name]))
+          }
+        })
+      }
+    })
+  }
+
+  // Checks the values that depend on each other, once the schema is met.
+  Validator.prototype.checkValues = function checkValues(json) {
+    const self = this
+    Object.getOwnPropertyNames(self.macros).forEach(function(name) {
+      if (relicNames.indexOf(name) !== -1) {
+        self.error(
+          pathTo('$.macros', name),
+          name,
+          'Macro has the name of a relic',
+        )
+      }
+    })
+    if (Array.isArray(json.placeRelic)) {
+      json.placeRelic.forEach(function(placement, index) {
+        const path = pathTo('$.placeRelic', index)
+        if (('location' in placement) === ('locations' in placement)) {
+          self.error(path, placement, 'Expected either "location" or '
+                     + '"locations"')
+        }
+        if (('relic' in placement) === ('relics' in placement)) {
+          self.error(path, placement, 'Expected either "relic" or "relics"')
+        }
+      })
+    }
+    if (Array.isArray(json.enemyDrops)) {
+      json.enemyDrops.forEach(function(drop, index) {
+        if (!('level' in drop)) {
+          return
+        }
+        const found = enemies.some(function(enemy) {
+          return enemy.name === drop.enemy && enemy.level === drop.level
+        })
+        if (!found) {
+          self.error(
+            pathTo(pathTo('$.enemyDrops', index), 'level'),
+            drop.level,
+            'Unknown level of ' + drop.enemy,
+          )
+        }
+      })
+    }
+    if (Array.isArray(json.itemLocations)) {
+      json.itemLocations.forEach(function(location, index) {
+        if (location.zone === '*' || location.item === '*') {
+          return
+        }
+        const item = items.filter(function(item) {
+          return item.name === location.item
+        })[0]
+        const zone = constants.ZONE[location.zone]
+        const tiles = (item.tiles || []).filter(function(tile) {
+          return 'zones' in tile && tile.zones.indexOf(zone) !== -1
+        })
+        const number = location.index || 1
+        if (!tiles[number - 1]) {
+          self.error(
+            pathTo('$.itemLocations', index),
+            location.item,
+            'No ' + location.item + ' ' + number + ' in ' + location.zone,
+          )
+        }
+      })
+    }
+    const goal = json.complexityGoal
+    if (typeOf(goal) === 'object' && 'max' in goal && goal.max < goal.min) {
+      self.error('$.complexityGoal.max', goal.max, 'Expected max to be at '
+                 + 'least min')
+    }
+  }
+
+  // Validates a preset file. Returns a list of errors, each with the JSON
+  // path and the value that is invalid, a message, and the suggestions for
+  // misspelled names.
+  function validate(json) {
+    const validator = new Validator(json)
+    validator.check(schema, json, '$')
+    if (!validator.errors.length) {
+      validator.checkValues(json)
+    }
+    return validator.errors
+  }
+
+  // Formats an error returned by validate().
+  function formatError(error) {
+    let message = error.path + ': ' + error.message
+    if (error.suggestions && error.suggestions.length) {
+      message += ' (did you mean ' + error.suggestions.map(function(name) {
+        return JSON.stringify(name)
+      }).join(' or ') + '?)'
+    }
+    return message
+  }
+
+  const exports = {
+    schema: schema,
+    validate: validate,
+    formatError: formatError,
+  }
+  if (self) {
+    self.sotnRando = Object.assign(self.sotnRando || {}, {
+      validate: exports,
+    })
+  } else {
+    module.exports = exports
+  }
+})(typeof(self) !== 'undefined' ? self : null)
@@ -3,6 +3,7 @@ function randomizeWorker() {
   let constants
   let eccEdcCalc
   let errors
+  let patch
   let util
   let randomizeRelics
   let randomizeItems
@@ -10,8 +11,8 @@ function randomizeWorker() {
 
   function loadBrowser(url) {
     importScripts(
-      'https://cdnjs.cloudflare.com/ajax/libs/seedrandom/3.0.1/seedrandom.min.js',
-      'https://cdnjs.cloudflare.com/ajax/libs/sjcl/1.0.8/sjcl.min.js',
+      url + 'vendor/seedrandom.min.js',
+      url + 'vendor/sjcl.min.js',
       url + "constants.js",
       url + 'enemies.js',
       url + 'errors.js',
@@ -19,13 +20,9 @@ function randomizeWorker() {
       url + "items.js",
       url + "relics.js",
       url + "util.js",
-      url + "build/presets/casual.js",
-      url + "build/presets/safe.js",
-      url + "build/presets/adventure.js",
-      url + "build/presets/speedrun.js",
-      url + "build/presets/glitch.js",
-      url + "build/presets/scavenger.js",
-      url + "build/presets/empty-hand.js",
+      url + "patch.js",
+      url + "validate.js",
+      url + "presets.js",
       url + "randomize_items.js",
       url + "randomize_relics.js",
       url + "ecc-edc-recalc-js.js",
@@ -33,16 +30,19 @@ function randomizeWorker() {
     constants = self.sotnRando.constants
     eccEdcCalc = self.eccEdcCalc
     errors = self.sotnRando.errors
+    patch = self.sotnRando.patch
     randomizeRelics = self.sotnRando.randomizeRelics.randomizeRelics
     randomizeItems = self.sotnRando.randomizeItems.randomizeItems
     seedrandom = Math.seedrandom
     util = self.sotnRando.util
+    return self.sotnRando.loadPresets(url)
   }
 
   function loadNode() {
     constants = require('./constants')
     eccEdcCalc = require('./ecc-edc-recalc-js')
     errors = require('./errors')
+    patch = require('./patch')
     randomizeRelics = require('./randomize_relics').randomizeRelics
     randomizeItems = require('./randomize_items').randomizeItems
     seedrandom = require('seedrandom')
@@ -69,99 +69,130 @@ function randomizeWorker() {
     }
     if (!('action' in message)) {
       if (typeof(module) === 'undefined') {
-        loadBrowser(message.url)
+        ctx.loading = loadBrowser(message.url)
       } else {
         loadNode()
       }
       ctx.loaded = true
+      // Persistent workers are reused and must not release themselves.
+      if ('persistent' in message) {
+        ctx.persistent = message.persistent
+      }
+    } else if (ctx.loading) {
+      // Actions wait for the presets to load.
+      const worker = this
+      ctx.loading.then(function() {
+        handleAction.call(worker, message)
+      })
     } else {
-      try {
-        switch (message.action) {
-        case constants.WORKER_ACTION.RELICS: {
-          if (message.cancel) {
-            if ('unref' in this) {
-              this.unref()
-            }
-          } else {
-            if (message.bootstrap) {
-              Object.assign(ctx, {
-                salt: {
-                  options: message.options,
-                  version: message.version,
-                  seed: message.seed,
-                },
-                options: util.Preset.options(message.options),
-                removed: message.removed,
-              })
-            }
-            let nonce = message.nonce
-            for (let i = 0; message.rounds === 0 || i < message.rounds; i++) {
-              const rng = getRng(Object.assign({}, ctx.salt, {
+      handleAction.call(this, message)
+    }
+  }
+
+  function handleAction(message) {
+    try {
+      switch (message.action) {
+      case constants.WORKER_ACTION.RELICS: {
+        if (message.cancel) {
+          if ('unref' in this && !ctx.persistent) {
+            this.unref()
+          }
+        } else {
+          if (message.bootstrap) {
+            Object.assign(ctx, {
+              salt: {
+                options: message.options,
+                version: message.version,
+                seed: message.seed,
+              },
+              options: util.Preset.options(message.options),
+              removed: message.removed,
+            })
+          }
+          let nonce = message.nonce
+          for (let i = 0; message.rounds === 0 || i < message.rounds; i++) {
+            const rng = getRng(Object.assign({}, ctx.salt, {
+              nonce: nonce + i,
+            }))
+            try {
+              const result = randomizeRelics(rng, ctx.options, ctx.removed)
+              util.sanitizeResult(result)
+              Object.assign(result, {
+                action: constants.WORKER_ACTION.RELICS,
+                done: true,
                 nonce: nonce + i,
-              }))
-              try {
-                const result = randomizeRelics(rng, ctx.options, ctx.removed)
-                util.sanitizeResult(result)
-                Object.assign(result, {
+              })
+              this.postMessage(JSON.stringify(result))
+              break
+            } catch (err) {
+              if (!errors.isError(err)) {
+                this.postMessage(JSON.stringify({
                   action: constants.WORKER_ACTION.RELICS,
-                  done: true,
-                  nonce: nonce + i,
-                })
-                this.postMessage(JSON.stringify(result))
+                  error: {
+                    name: err.name,
+                    message: err.message,
+                    stack: err.stack,
+                  }
+                }))
+                break
+              } else if (i === message.rounds - 1) {
+                this.postMessage(JSON.stringify({
+                  action: constants.WORKER_ACTION.RELICS,
+                  error: true,
+                }))
                 break
-              } catch (err) {
-                if (!errors.isError(err)) {
-                  this.postMessage(JSON.stringify({
-                    action: constants.WORKER_ACTION.RELICS,
-                    error: {
-                      name: err.name,
-                      message: err.message,
-                      stack: err.stack,
-                    }
-                  }))
-                } else if (i === message.rounds - 1) {
-                  this.postMessage(JSON.stringify({
-                    action: constants.WORKER_ACTION.RELICS,
-                    error: true,
-                  }))
-                  break
-                }
               }
             }
           }
-          break
         }
-        case constants.WORKER_ACTION.ITEMS: {
-          const rng = getRng(message)
-          ctx.options = ctx.options || util.Preset.options(message.options)
-          const result = randomizeItems(rng, message.items, ctx.options)
-          result.action = 'items'
-          this.postMessage(result)
-          if ('unref' in this) {
-            this.unref()
-          }
-          break
+        break
+      }
+      case constants.WORKER_ACTION.ITEMS: {
+        const rng = getRng(message)
+        ctx.options = util.Preset.options(message.options)
+        const result = randomizeItems(rng, message.items, ctx.options)
+        result.action = 'items'
+        this.postMessage(result)
+        if ('unref' in this && !ctx.persistent) {
+          this.unref()
         }
-        case constants.WORKER_ACTION.FINALIZE: {
-          const array = new Uint8Array(message.file)
-          const check = new util.checked(array)
-          check.apply(message.data)
-          util.setSeedText(check, message.seed, message.preset)
-          const checksum = check.sum()
-          if (message.checksum && message.checksum !== checksum) {
-            throw new errors.VersionError()
-          }
-          eccEdcCalc(array, array.length)
-          this.postMessage({
-            action: 'finalize',
-            file: message.file,
-            checksum: checksum,
-          }, [message.file])
-          break
-        }}
-      } catch (err) {
-        this.postMessage({error: err})
+        break
       }
+      case constants.WORKER_ACTION.FINALIZE: {
+        const array = new Uint8Array(message.file)
+        const check = new util.checked()
+        check.apply(message.data)
+        util.setSeedText(check, message.seed, message.preset)
+        const checksum = check.sum()
+        if (message.checksum && message.checksum !== checksum) {
+          throw new errors.VersionError()
+        }
+        // A patch is only created if its metadata is given.
+        let source
+        if (message.metadata) {
+          source = patch.snapshot(array, check.writes)
+        }
+        const writer = new util.checked(array)
+        writer.apply(check)
+        eccEdcCalc(array, array.length)
+        const result = {
+          action: 'finalize',
+          file: message.file,
+          checksum: checksum,
+        }
+        const transfer = [message.file]
+        if (source) {
+          const bps = patch.createPatch(source, array, Object.assign({
+            checksum: checksum,
+          }, message.metadata))
+          result.patch = bps.buffer
+          transfer.push(bps.buffer)
+        }
+        this.postMessage(result, transfer)
+        break
+      }}
+    } catch (err) {
+      this.postMessage({error: err})
     }
   }
 